@@ -0,0 +1,244 @@
+/**
+ * Address Book Module
+ * Names and categories for counterparty identities, shown instead of raw addresses
+ */
+
+class AddressBook {
+    constructor() {
+        this.CATEGORIES = {
+            exchange: 'Exchange',
+            contract: 'Contract',
+            friend: 'Friend',
+            own: 'Own wallet',
+            other: 'Other'
+        };
+        this.CSV_HEADER = ['identity', 'name', 'category'];
+
+        // Built on first use, since computing identities needs the checksum hash
+        this.known = null;
+
+        // Parsed user entries, dropped whenever the stored address book changes
+        this.entries = null;
+
+        // Another tab may edit the address book
+        window.addEventListener('storage', event => {
+            if (event.key === null || event.key === storage.ADDRESS_BOOK_KEY) {
+                this.invalidate();
+            }
+        });
+    }
+
+    /**
+     * Identities bundled with the app: every known smart contract
+     * Exchange deposit identities are not bundled, since there is no published list to check them against
+     */
+    getKnown() {
+        if (!this.known) {
+            this.known = {};
+
+            Object.entries(qubicAPI.CONTRACT_NAMES).forEach(([index, name]) => {
+                // Contract public keys are the contract index followed by zero bytes
+                const publicKey = new Uint8Array(32);
+                publicKey[0] = Number(index);
+
+                this.known[identityValidator.encodePublicKey(publicKey)] = { name, category: 'contract' };
+            });
+        }
+
+        return this.known;
+    }
+
+    /**
+     * The user's entries ({ identity: { name, category } }), read from storage once
+     * Callers must not modify the returned object
+     */
+    getEntries() {
+        if (!this.entries) {
+            this.entries = storage.getAddressBook();
+        }
+
+        return this.entries;
+    }
+
+    /**
+     * Drop the parsed entries so the next lookup reads storage again
+     */
+    invalidate() {
+        this.entries = null;
+    }
+
+    /**
+     * Save entries and drop the parsed copy
+     */
+    save(entries) {
+        const saved = storage.saveAddressBook(entries);
+        this.invalidate();
+        return saved;
+    }
+
+    /**
+     * Look up an identity: the user's own entries first, then saved wallets, then bundled ones
+     * Returns { identity, name, category, source } or null when it has no name
+     */
+    get(identity) {
+        if (!identity) return null;
+
+        const entry = this.getEntries()[identity];
+        if (entry) {
+            return { identity, name: entry.name, category: entry.category, source: 'user' };
+        }
+
+        const wallet = storage.getWallet(identity);
+        if (wallet && wallet.name) {
+            return { identity, name: wallet.name, category: 'own', source: 'wallet' };
+        }
+
+        const known = this.getKnown()[identity];
+        return known ? { identity, ...known, source: 'known' } : null;
+    }
+
+    /**
+     * Name of an identity ('' when it has none)
+     */
+    getName(identity) {
+        const entry = this.get(identity);
+        return entry ? entry.name : '';
+    }
+
+    /**
+     * Add or update an entry
+     */
+    set(identity, name, category = 'other') {
+        const validation = identityValidator.validate(identity);
+        if (!validation.valid) {
+            throw new Error(validation.error);
+        }
+
+        name = String(name || '').trim();
+        if (!name) {
+            throw new Error('Enter a name');
+        }
+
+        const entries = { ...this.getEntries() };
+        entries[validation.identity] = { name, category: this.CATEGORIES[category] ? category : 'other' };
+        return this.save(entries);
+    }
+
+    /**
+     * Remove an entry (bundled names show again afterwards)
+     */
+    remove(identity) {
+        const entries = { ...this.getEntries() };
+        delete entries[identity];
+        return this.save(entries);
+    }
+
+    /**
+     * All entries, the user's own first, sorted by name
+     * Bundled identities the user has renamed are listed once, as the user's entry
+     */
+    list() {
+        const entries = this.getEntries();
+        const byName = (a, b) => a.name.localeCompare(b.name);
+
+        const user = Object.entries(entries)
+            .map(([identity, entry]) => ({ identity, ...entry, source: 'user' }))
+            .sort(byName);
+        const known = Object.entries(this.getKnown())
+            .filter(([identity]) => !entries[identity])
+            .map(([identity, entry]) => ({ identity, ...entry, source: 'known' }))
+            .sort(byName);
+
+        return [...user, ...known];
+    }
+
+    /**
+     * CSV of the user's entries (identity,name,category)
+     */
+    toCSV() {
+        const rows = Object.entries(this.getEntries())
+            .map(([identity, entry]) => [identity, entry.name, entry.category]);
+
+        return transactionExporter.buildCSV(this.CSV_HEADER, rows);
+    }
+
+    /**
+     * Import entries from CSV (identity,name[,category] per line, header optional)
+     * Existing entries for the same identity are replaced
+     * Returns { imported, skipped }
+     */
+    importCSV(text) {
+        const entries = { ...this.getEntries() };
+        let imported = 0;
+        let skipped = 0;
+
+        this.parseCSV(text).forEach(([identity = '', name = '', category = '']) => {
+            identity = identity.trim().toUpperCase();
+            // Undo the formula guard buildCSV adds on export
+            name = name.trim().replace(/^'(?=[=+\-@])/, '');
+            category = category.trim().toLowerCase();
+
+            if (identity === 'IDENTITY') return;
+
+            if (!identityValidator.isValid(identity) || !name) {
+                skipped++;
+                return;
+            }
+
+            entries[identity] = { name, category: this.CATEGORIES[category] ? category : 'other' };
+            imported++;
+        });
+
+        this.save(entries);
+        return { imported, skipped };
+    }
+
+    /**
+     * Split CSV text into rows of fields, honouring quoted fields
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',' || char === ';' || char === '\t') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+}
+
+// Create and export singleton instance
+const addressBook = new AddressBook();
+
+// For compatibility
+window.AddressBook = addressBook;
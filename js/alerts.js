@@ -0,0 +1,261 @@
+/**
+ * Alert Manager Module
+ * Evaluates user-defined alert rules against changes between portfolio refreshes
+ */
+
+class AlertManager {
+    constructor() {
+        this.MAX_HISTORY = 200;
+        this.RULE_TYPES = {
+            incoming_above: { label: 'Incoming transfer above', threshold: true },
+            outgoing_any: { label: 'Any outgoing transfer', threshold: false },
+            balance_below: { label: 'Balance falls below', threshold: true },
+            new_asset: { label: 'New asset appears', threshold: false }
+        };
+
+        // Last state seen per wallet; alerts fire on the difference to the next one
+        this.states = new Map();
+    }
+
+    /**
+     * Get alert rules from settings
+     * Each rule is { id, type, threshold, wallet, enabled } where a null wallet applies to all wallets
+     */
+    getRules() {
+        return storage.getSettings().alertRules || [];
+    }
+
+    /**
+     * Save alert rules to settings
+     */
+    saveRules(rules) {
+        return storage.saveSettings({ ...storage.getSettings(), alertRules: rules });
+    }
+
+    /**
+     * Add a rule
+     */
+    addRule({ type, threshold = null, wallet = null }) {
+        if (!this.RULE_TYPES[type]) {
+            throw new Error('Unknown alert type');
+        }
+        if (this.RULE_TYPES[type].threshold && !(threshold > 0)) {
+            throw new Error('Enter a threshold above zero');
+        }
+
+        const rule = {
+            id: `rule_${Date.now()}`,
+            type,
+            threshold: this.RULE_TYPES[type].threshold ? threshold : null,
+            wallet,
+            enabled: true
+        };
+
+        this.saveRules([...this.getRules(), rule]);
+        return rule;
+    }
+
+    /**
+     * Remove a rule
+     */
+    removeRule(id) {
+        return this.saveRules(this.getRules().filter(rule => rule.id !== id));
+    }
+
+    /**
+     * Enable or disable a rule
+     */
+    setRuleEnabled(id, enabled) {
+        return this.saveRules(this.getRules().map(rule => rule.id === id ? { ...rule, enabled } : rule));
+    }
+
+    /**
+     * Describe a rule for display
+     */
+    describeRule(rule) {
+        const type = this.RULE_TYPES[rule.type];
+        return type.threshold ? `${type.label} ${rule.threshold.toLocaleString()} QU` : type.label;
+    }
+
+    /**
+     * Whether alerts for a wallet are muted
+     */
+    isMuted(wallet) {
+        return (storage.getSettings().mutedWallets || []).includes(wallet);
+    }
+
+    /**
+     * Mute or unmute alerts for a wallet
+     */
+    setMuted(wallet, muted) {
+        const settings = storage.getSettings();
+        const mutedWallets = (settings.mutedWallets || []).filter(address => address !== wallet);
+        if (muted) mutedWallets.push(wallet);
+
+        return storage.saveSettings({ ...settings, mutedWallets });
+    }
+
+    /**
+     * Compare each wallet with its previous state and return the alerts that fire
+     * wallets: [{ wallet, name, balance, assets, transactions }], transactions null when not loaded
+     * The first state seen for a wallet only sets the baseline
+     */
+    check(wallets) {
+        const rules = this.getRules().filter(rule => rule.enabled);
+        const alerts = [];
+
+        wallets.forEach(current => {
+            const previous = this.states.get(current.wallet);
+
+            // Without transfers there is no tick to compare later transfers against
+            if (!previous && !current.transactions) return;
+
+            const state = {
+                balance: current.balance,
+                assets: new Set(current.assets.map(asset => `${asset.issuer}:${asset.name}`)),
+                // Transfers are compared by tick, so older history loaded later never counts as new
+                lastTick: current.transactions
+                    ? Math.max(0, ...current.transactions.map(tx => tx.tick))
+                    : previous.lastTick
+            };
+            this.states.set(current.wallet, state);
+
+            if (!previous || this.isMuted(current.wallet)) return;
+
+            const newTransactions = (current.transactions || []).filter(tx => tx.tick > previous.lastTick);
+
+            rules
+                .filter(rule => !rule.wallet || rule.wallet === current.wallet)
+                .forEach(rule => {
+                    alerts.push(...this.evaluate(rule, current, previous, state, newTransactions));
+                });
+        });
+
+        if (alerts.length > 0) {
+            this.addToHistory(alerts);
+            alerts.forEach(alert => this.notify(alert));
+        }
+
+        return alerts;
+    }
+
+    /**
+     * Alerts a single rule produces for one wallet's changes
+     */
+    evaluate(rule, current, previous, state, newTransactions) {
+        const alert = (message, details = {}) => ({
+            id: `alert_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            ruleId: rule.id,
+            type: rule.type,
+            wallet: current.wallet,
+            message: `${current.name}: ${message}`,
+            timestamp: Date.now(),
+            ...details
+        });
+
+        switch (rule.type) {
+            case 'incoming_above':
+                return newTransactions
+                    .filter(tx => tx.destId === current.wallet && tx.sourceId !== current.wallet && tx.amount >= rule.threshold)
+                    .map(tx => alert(`received ${tx.amount.toLocaleString()} QU`, { txId: tx.id }));
+
+            case 'outgoing_any':
+                return newTransactions
+                    .filter(tx => tx.sourceId === current.wallet)
+                    .map(tx => alert(`sent ${tx.amount.toLocaleString()} QU`, { txId: tx.id }));
+
+            case 'balance_below':
+                // Only when the balance crosses the threshold, not on every refresh below it
+                return previous.balance >= rule.threshold && state.balance < rule.threshold
+                    ? [alert(`balance fell to ${state.balance.toLocaleString()} QU`)]
+                    : [];
+
+            case 'new_asset':
+                return current.assets
+                    .filter(asset => !previous.assets.has(`${asset.issuer}:${asset.name}`))
+                    .map(asset => alert(`now holds ${asset.amount.toLocaleString()} ${asset.name}`, { asset: asset.name }));
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Get the alert history, newest first
+     */
+    getHistory() {
+        return storage.getAlertHistory();
+    }
+
+    /**
+     * Prepend alerts to the history
+     */
+    addToHistory(alerts) {
+        const history = [...alerts.slice().reverse(), ...this.getHistory()].slice(0, this.MAX_HISTORY);
+        storage.saveAlertHistory(history);
+    }
+
+    /**
+     * Clear the alert history
+     */
+    clearHistory() {
+        storage.saveAlertHistory([]);
+    }
+
+    /**
+     * Whether browser notifications can be shown
+     */
+    getNotificationPermission() {
+        return 'Notification' in window ? Notification.permission : 'unsupported';
+    }
+
+    /**
+     * Ask for permission to show browser notifications
+     */
+    async requestNotificationPermission() {
+        if (!('Notification' in window)) return 'unsupported';
+        return Notification.requestPermission();
+    }
+
+    /**
+     * Show a browser notification for an alert (when allowed)
+     * Goes through the service worker when there is one, since some mobile browsers require it
+     */
+    notify(alert) {
+        if (this.getNotificationPermission() !== 'granted') return;
+
+        const title = 'Qubic Portfolio Tracker';
+        const options = {
+            body: alert.message,
+            icon: 'icons/icon-192.png',
+            tag: alert.txId || alert.id
+        };
+
+        if (pwaManager.registration) {
+            // The worker can reject (e.g. while it is being replaced); fall back to a page notification
+            pwaManager.registration.showNotification(title, options).catch(error => {
+                console.error('Error showing notification through the service worker:', error);
+                this.showPageNotification(title, options);
+            });
+        } else {
+            this.showPageNotification(title, options);
+        }
+    }
+
+    /**
+     * Show a notification from the page itself
+     */
+    showPageNotification(title, options) {
+        try {
+            new Notification(title, options);
+        } catch (error) {
+            console.error('Error showing notification:', error);
+        }
+    }
+}
+
+// Create and export singleton instance
+const alertManager = new AlertManager();
+
+// For compatibility
+window.AlertManager = alertManager;
@@ -3,32 +3,212 @@
  * Handles all API interactions with the Qubic RPC endpoints
  */
 
+/**
+ * Error from an RPC request
+ * type is one of network, timeout, not_found, rate_limited, server, client, aborted or unknown
+ */
+class QubicAPIError extends Error {
+    constructor(message, type, { status = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'QubicAPIError';
+        this.type = type;
+        this.status = status;
+        this.retryAfter = retryAfter; // Milliseconds the server asked us to wait, if it did
+    }
+
+    /**
+     * Whether the same request may succeed when tried again
+     */
+    get retryable() {
+        return ['network', 'timeout', 'rate_limited', 'server'].includes(this.type);
+    }
+
+    /**
+     * Error for an unsuccessful HTTP response
+     */
+    static fromResponse(response) {
+        const { status } = response;
+        const retryAfter = QubicAPIError.parseRetryAfter(response.headers.get('Retry-After'));
+        let type = 'client';
+
+        if (status === 404) type = 'not_found';
+        else if (status === 429) type = 'rate_limited';
+        else if (status >= 500) type = 'server';
+
+        return new QubicAPIError(`HTTP ${status}: ${response.statusText}`, type, { status, retryAfter });
+    }
+
+    /**
+     * Read a Retry-After header (seconds or an HTTP date) as milliseconds
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Add context to an error while keeping its type
+     */
+    static wrap(error, context) {
+        return new QubicAPIError(`${context}: ${error.message}`, error.type || 'unknown', {
+            status: error.status || null,
+            retryAfter: error.retryAfter || null
+        });
+    }
+}
+
 class QubicAPI {
     constructor() {
-        this.baseUrl = 'https://rpc.qubic.org';
-        this.cache = new Map();
-        this.cacheTimeout = 30000; // 30 seconds
+        this.cache = new Map(); // Kept in least recently used order
+        this.cacheTimeout = 30000; // 30 seconds, for paths without their own TTL
+        this.maxCacheEntries = 300;
+        // Cache lifetimes by path; the first matching pattern wins
+        this.cacheTtls = [
+            { pattern: /\/v1\/status$/, ttl: 5000 },
+            { pattern: /\/v1\/ticks\/\d+\/tick-data$/, ttl: 24 * 60 * 60 * 1000 }, // Past ticks never change
+            { pattern: /\/v1\/assets\/issuances$/, ttl: 10 * 60 * 1000 },
+            { pattern: /\/v1\/balances\//, ttl: 60000 },
+            { pattern: /\/v1\/assets\/[A-Z]+\/(owned|possessed)$/, ttl: 60000 },
+            { pattern: /\/v1\/qx\//, ttl: 15000 },
+            { pattern: /\/v2\/transactions\/[a-z]+$/, ttl: 24 * 60 * 60 * 1000 } // Transactions in past ticks never change
+        ];
+        this.inFlight = new Map();
+        this.cacheStats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, evictions: 0 };
         this.retryAttempts = 3;
         this.retryDelay = 1000; // 1 second
+        this.requestTimeout = 15000; // Per attempt
+        this.maxRetryAfter = 30000; // Longer waits asked for by a rate limit are left to the user
+        this.abortController = new AbortController(); // Aborted by cancelRequests()
+        this.transfersPageSize = 100;
+        this.tickDuration = 2000; // Rough milliseconds per tick, used only to extrapolate
+        this.tickAnchorSpacing = 10000; // Ticks interpolated without looking them up
+        this.maxTickTimestamps = 5000;
+        this.tickTimestamps = this.loadTickTimestamps();
+        this.failedTickLookups = new Set();
+        this.liveTick = null;
+        // QX trade history service; {issuer} and {asset} are filled in per asset
+        this.qxTradesUrl = 'https://api.qx.qubic.org/v1/qx/issuer/{issuer}/asset/{asset}/trades';
+        this.CONTRACT_NAMES = {
+            1: 'QX',
+            2: 'Quottery',
+            3: 'Random',
+            4: 'QUTIL',
+            5: 'MLM',
+            6: 'GQMPROP',
+            7: 'SWATCH',
+            8: 'CCF',
+            9: 'QEARN',
+            10: 'QVAULT',
+            11: 'MSVAULT',
+            12: 'QBAY',
+            13: 'QSWAP',
+            14: 'NOST'
+        };
     }
 
     /**
      * Fetch with retry logic and caching
+     * Concurrent requests for the same URL share one network request. With
+     * options.staleWhileRevalidate, an expired cache entry is returned at once
+     * while a fresh copy is fetched in the background. options.signal (by default
+     * the one cancelRequests() aborts) stops waiting for the response
      */
     async fetchWithRetry(url, options = {}) {
-        const cacheKey = `${url}${JSON.stringify(options)}`;
-        
+        const { staleWhileRevalidate = false, signal = this.abortController.signal, ...fetchOptions } = options;
+
+        if (signal.aborted) {
+            throw new QubicAPIError('Request cancelled', 'aborted');
+        }
+
+        const cacheKey = `${url}${JSON.stringify(fetchOptions)}`;
+
         // Check cache first
         const cached = this.cache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-            return cached.data;
+        if (cached) {
+            const fresh = Date.now() - cached.timestamp < this.getCacheTtl(url);
+
+            if (fresh || staleWhileRevalidate) {
+                this.touchCache(cacheKey, cached);
+
+                if (fresh) {
+                    this.cacheStats.hits++;
+                } else {
+                    this.cacheStats.staleHits++;
+                    this.fetchShared(cacheKey, url, fetchOptions).catch(error => {
+                        console.error('Error revalidating cached response:', error);
+                    });
+                }
+                return cached.data;
+            }
+        }
+
+        this.cacheStats.misses++;
+        return this.withSignal(this.fetchShared(cacheKey, url, fetchOptions), signal);
+    }
+
+    /**
+     * Reject with an aborted error as soon as the signal fires
+     * The request itself keeps running, since other callers may share it
+     */
+    withSignal(promise, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new QubicAPIError('Request cancelled', 'aborted'));
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    /**
+     * Cancel all pending requests, e.g. when the user switches wallets
+     */
+    cancelRequests() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Fetch and cache a response, joining a request for the same key that is already running
+     */
+    fetchShared(cacheKey, url, options) {
+        if (this.inFlight.has(cacheKey)) {
+            this.cacheStats.coalesced++;
+            return this.inFlight.get(cacheKey);
         }
 
+        const promise = this.fetchFromNetwork(url, options)
+            .then(data => {
+                // Cache successful response
+                this.touchCache(cacheKey, { data, timestamp: Date.now() });
+                return data;
+            })
+            .finally(() => {
+                this.inFlight.delete(cacheKey);
+            });
+
+        this.inFlight.set(cacheKey, promise);
+        return promise;
+    }
+
+    /**
+     * Fetch JSON, retrying failures that may be temporary with a growing delay
+     * Client errors (4xx other than 429) are not retried; a Retry-After header sets the delay
+     */
+    async fetchFromNetwork(url, options) {
         let lastError;
         for (let i = 0; i < this.retryAttempts; i++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+
             try {
                 const response = await fetch(url, {
                     ...options,
+                    signal: controller.signal,
                     headers: {
                         'Accept': 'application/json',
                         ...options.headers
@@ -36,27 +216,102 @@ class QubicAPI {
                 });
 
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    throw QubicAPIError.fromResponse(response);
                 }
 
-                const data = await response.json();
-                
-                // Cache successful response
-                this.cache.set(cacheKey, {
-                    data,
-                    timestamp: Date.now()
-                });
+                return await response.json();
+            } catch (error) {
+                lastError = this.toAPIError(error, controller.signal);
+            } finally {
+                clearTimeout(timer);
+            }
+
+            const delay = lastError.retryAfter !== null ? lastError.retryAfter : this.retryDelay * (i + 1);
+            if (!lastError.retryable || i === this.retryAttempts - 1 || delay > this.maxRetryAfter) break;
+
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Classify an error thrown while fetching
+     */
+    toAPIError(error, timeoutSignal) {
+        if (error instanceof QubicAPIError) return error;
+
+        if (timeoutSignal.aborted) {
+            return new QubicAPIError(`No response within ${this.requestTimeout / 1000} seconds`, 'timeout');
+        }
+        if (error instanceof SyntaxError) {
+            return new QubicAPIError(`Invalid response: ${error.message}`, 'server');
+        }
+        return new QubicAPIError(`Network error: ${error.message}`, 'network');
+    }
+
+    /**
+     * Store a cache entry as the most recently used one, evicting the least recently used beyond the cap
+     */
+    touchCache(cacheKey, entry) {
+        this.cache.delete(cacheKey);
+        this.cache.set(cacheKey, entry);
+
+        while (this.cache.size > this.maxCacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+            this.cacheStats.evictions++;
+        }
+    }
+
+    /**
+     * Cache lifetime for a URL
+     */
+    getCacheTtl(url) {
+        const path = url.split('?')[0];
+        const rule = this.cacheTtls.find(({ pattern }) => pattern.test(path));
+        return rule ? rule.ttl : this.cacheTimeout;
+    }
 
+    /**
+     * Cache statistics for diagnostics
+     */
+    getCacheStats() {
+        const { hits, staleHits, misses } = this.cacheStats;
+        const lookups = hits + staleHits + misses;
+
+        return {
+            ...this.cacheStats,
+            entries: this.cache.size,
+            maxEntries: this.maxCacheEntries,
+            inFlight: this.inFlight.size,
+            hitRate: lookups > 0 ? (hits + staleHits) / lookups : 0
+        };
+    }
+
+    /**
+     * Fetch a path from the active RPC endpoint, failing over to the next one when it fails
+     * Client errors (4xx other than 429) are answers about the request, not the node, so they do not fail over
+     */
+    async request(path, options = {}) {
+        let lastError;
+
+        for (const endpoint of endpointManager.getCandidates()) {
+            try {
+                const data = await this.fetchWithRetry(`${endpoint.url}${path}`, {
+                    ...options,
+                    headers: { ...endpoint.headers, ...options.headers }
+                });
+                endpointManager.markSuccess(endpoint.url);
                 return data;
             } catch (error) {
+                if (!error.retryable) throw error;
+
                 lastError = error;
-                if (i < this.retryAttempts - 1) {
-                    await new Promise(resolve => setTimeout(resolve, this.retryDelay * (i + 1)));
-                }
+                endpointManager.markFailure(endpoint.url, error);
             }
         }
 
-        throw lastError;
+        throw lastError || new QubicAPIError('No RPC endpoint is enabled', 'network');
     }
 
     /**
@@ -68,16 +323,18 @@ class QubicAPI {
         }
 
         try {
-            const data = await this.fetchWithRetry(`${this.baseUrl}/v1/balances/${wallet}`);
-            return data.balance?.balance || 0;
+            const data = await this.request(`/v1/balances/${wallet}`);
+            return parseInt(data.balance?.balance || 0);
         } catch (error) {
             console.error('Error fetching balance:', error);
-            throw new Error(`Failed to fetch balance: ${error.message}`);
+            throw QubicAPIError.wrap(error, 'Failed to fetch balance');
         }
     }
 
     /**
-     * Get wallet assets
+     * Get wallet assets, combining owned and possessed records
+     * Each asset is { name, issuer, amount, possessedUnits, lockedUnits, transferableUnits, positions }
+     * where amount is the owned units and positions lists them per managing contract
      */
     async getAssets(wallet) {
         if (!wallet) {
@@ -85,91 +342,664 @@ class QubicAPI {
         }
 
         try {
-            const data = await this.fetchWithRetry(`${this.baseUrl}/v1/assets/${wallet}/owned`);
-            
-            const assets = [];
-            if (data.ownedAssets && Array.isArray(data.ownedAssets)) {
-                for (const asset of data.ownedAssets) {
-                    const assetData = asset.data || {};
-                    const issuedAsset = assetData.issuedAsset || {};
-                    
-                    if (issuedAsset.name) {
-                        assets.push({
-                            name: issuedAsset.name,
-                            amount: parseInt(assetData.numberOfUnits || 0)
-                        });
-                    }
+            const [owned, possessed] = await Promise.all([
+                this.request(`/v1/assets/${wallet}/owned`),
+                this.request(`/v1/assets/${wallet}/possessed`)
+            ]);
+
+            const assets = new Map();
+            const getPosition = (issuedAsset, contractIndex) => {
+                const key = `${issuedAsset.issuerIdentity || ''}:${issuedAsset.name}`;
+                if (!assets.has(key)) {
+                    assets.set(key, {
+                        name: issuedAsset.name,
+                        issuer: issuedAsset.issuerIdentity || '',
+                        positions: new Map()
+                    });
                 }
-            }
-            
-            return assets;
+
+                const positions = assets.get(key).positions;
+                if (!positions.has(contractIndex)) {
+                    positions.set(contractIndex, {
+                        contractIndex,
+                        contract: this.getContractName(contractIndex),
+                        owned: 0,
+                        possessed: 0
+                    });
+                }
+                return positions.get(contractIndex);
+            };
+
+            (owned.ownedAssets || []).forEach(asset => {
+                const assetData = asset?.data || {};
+                const issuedAsset = assetData.issuedAsset || {};
+                if (!issuedAsset.name) return;
+
+                getPosition(issuedAsset, parseInt(assetData.managingContractIndex || 0)).owned += parseInt(assetData.numberOfUnits || 0);
+            });
+
+            // Possessions are matched to the ownership they belong to; units possessed
+            // for another owner do not count towards our own holdings
+            (possessed.possessedAssets || []).forEach(asset => {
+                const assetData = asset?.data || {};
+                const ownedAsset = assetData.ownedAsset || {};
+                const issuedAsset = ownedAsset.issuedAsset || {};
+                if (!issuedAsset.name || ownedAsset.ownerIdentity !== wallet) return;
+
+                getPosition(issuedAsset, parseInt(ownedAsset.managingContractIndex || 0)).possessed += parseInt(assetData.numberOfUnits || 0);
+            });
+
+            return Array.from(assets.values()).map(asset => this.summarizeAsset(asset)).filter(asset => asset.amount > 0);
         } catch (error) {
             console.error('Error fetching assets:', error);
-            throw new Error(`Failed to fetch assets: ${error.message}`);
+            throw QubicAPIError.wrap(error, 'Failed to fetch assets');
         }
     }
 
     /**
-     * Get transaction history
+     * Total owned, possessed, locked and transferable units of an asset's positions
+     * Owned units that we do not possess ourselves (e.g. held by QX for an open order) are locked
+     */
+    summarizeAsset({ name, issuer, positions }) {
+        const list = Array.from(positions.values()).map(position => ({
+            ...position,
+            locked: Math.max(0, position.owned - position.possessed),
+            transferable: Math.min(position.owned, position.possessed)
+        }));
+
+        return {
+            name,
+            issuer,
+            amount: list.reduce((sum, position) => sum + position.owned, 0),
+            possessedUnits: list.reduce((sum, position) => sum + position.possessed, 0),
+            lockedUnits: list.reduce((sum, position) => sum + position.locked, 0),
+            transferableUnits: list.reduce((sum, position) => sum + position.transferable, 0),
+            positions: list
+        };
+    }
+
+    /**
+     * Name of a smart contract by its index
+     */
+    getContractName(index) {
+        return this.CONTRACT_NAMES[index] || `Contract #${index}`;
+    }
+
+    /**
+     * Get all asset issuances
+     * Each issuance is { name, issuer, decimals, unitOfMeasurement, tick }
+     */
+    async getAssetIssuances() {
+        try {
+            const data = await this.request('/v1/assets/issuances');
+
+            return (data.assets || []).map(entry => {
+                const issuance = entry.data || {};
+                return {
+                    name: issuance.name,
+                    issuer: issuance.issuerIdentity,
+                    decimals: parseInt(issuance.numberOfDecimalPlaces || 0),
+                    unitOfMeasurement: issuance.unitOfMeasurement || [],
+                    tick: entry.info ? entry.info.tick : null
+                };
+            }).filter(issuance => issuance.name && issuance.issuer);
+        } catch (error) {
+            console.error('Error fetching asset issuances:', error);
+            throw QubicAPIError.wrap(error, 'Failed to fetch asset issuances');
+        }
+    }
+
+    /**
+     * Get total units of an asset across all owners
+     */
+    async getAssetSupply(assetName, issuer) {
+        const params = new URLSearchParams({ issuerIdentity: issuer, assetName });
+
+        try {
+            const data = await this.request(`/v1/assets/ownerships?${params}`);
+
+            return (data.assets || []).reduce((sum, entry) => {
+                return sum + parseInt((entry.data || {}).numberOfUnits || 0);
+            }, 0);
+        } catch (error) {
+            console.error('Error fetching asset supply:', error);
+            throw QubicAPIError.wrap(error, 'Failed to fetch asset supply');
+        }
+    }
+
+    /**
+     * Get transaction history (newest first, across as many pages as needed)
      */
     async getTransactions(wallet, limit = 100) {
         if (!wallet) {
             throw new Error('Wallet address is required');
         }
 
+        const pageSize = Math.min(limit, this.transfersPageSize);
+        const transactions = [];
+
+        for await (const result of this.iterateTransactions(wallet, { pageSize })) {
+            transactions.push(...result.transactions);
+
+            if (transactions.length >= limit) {
+                return transactions.slice(0, limit);
+            }
+        }
+
+        return transactions;
+    }
+
+    /**
+     * Get one page of transfers, optionally restricted to a tick range
+     */
+    async getTransactionsPage(wallet, options = {}) {
+        if (!wallet) {
+            throw new Error('Wallet address is required');
+        }
+
+        const {
+            page = 1,
+            pageSize = this.transfersPageSize,
+            startTick,
+            endTick,
+            desc = true
+        } = options;
+
+        const params = new URLSearchParams({ page, pageSize, desc });
+        if (startTick !== undefined) params.set('startTick', startTick);
+        if (endTick !== undefined) params.set('endTick', endTick);
+
         try {
-            const data = await this.fetchWithRetry(`${this.baseUrl}/v2/identities/${wallet}/transfers`);
-            
-            const transactions = [];
-            if (data.transactions && Array.isArray(data.transactions)) {
-                for (const tickData of data.transactions) {
-                    const tickNumber = tickData.tickNumber || 0;
-                    const tickTransactions = tickData.transactions || [];
-                    
-                    for (const txWrapper of tickTransactions) {
-                        const tx = txWrapper.transaction || {};
-                        
-                        transactions.push({
-                            id: tx.id || `tx_${tickNumber}_${transactions.length}`,
-                            sourceId: tx.sourceId || 'Unknown',
-                            destId: tx.destId || 'Unknown',
-                            amount: parseInt(tx.amount || 0),
-                            tick: tickNumber,
-                            timestamp: `Tick ${tickNumber}`,
-                            type: tx.destId === wallet ? 'incoming' : 'outgoing',
-                            moneyFlew: tx.moneyFlew !== false
-                        });
-                        
-                        if (transactions.length >= limit) {
-                            return transactions;
-                        }
+            const data = await this.request(`/v2/identities/${wallet}/transfers?${params}`);
+            const pagination = data.pagination || {};
+            const totalPages = parseInt(pagination.totalPages || 0);
+
+            return {
+                transactions: this.parseTransfers(data, wallet),
+                page,
+                pageSize,
+                totalPages,
+                totalRecords: parseInt(pagination.totalRecords || 0),
+                hasMore: page < totalPages
+            };
+        } catch (error) {
+            console.error('Error fetching transactions:', error);
+            throw QubicAPIError.wrap(error, 'Failed to fetch transactions');
+        }
+    }
+
+    /**
+     * Iterate over transfer pages until the history is exhausted
+     */
+    async *iterateTransactions(wallet, options = {}) {
+        let page = options.page || 1;
+
+        while (true) {
+            const result = await this.getTransactionsPage(wallet, { ...options, page });
+            yield result;
+
+            if (!result.hasMore || result.transactions.length === 0) {
+                return;
+            }
+            page++;
+        }
+    }
+
+    /**
+     * Parse a transfers response into flat transaction records
+     */
+    parseTransfers(data, wallet) {
+        const transactions = [];
+        let recordedTimestamps = false;
+        if (data.transactions && Array.isArray(data.transactions)) {
+            for (const tickData of data.transactions) {
+                const tickNumber = tickData?.tickNumber || 0;
+                const tickTransactions = Array.isArray(tickData?.transactions) ? tickData.transactions : [];
+                
+                for (const txWrapper of tickTransactions) {
+                    // Skip entries a malformed response leaves empty
+                    if (!txWrapper) continue;
+
+                    const tx = txWrapper.transaction || {};
+                    const moneyFlew = txWrapper.moneyFlew !== undefined ? txWrapper.moneyFlew : tx.moneyFlew;
+                    const timestamp = this.parseTimestamp(txWrapper.timestamp);
+
+                    if (timestamp !== null) {
+                        this.recordTickTimestamp(tickNumber, timestamp);
+                        recordedTimestamps = true;
                     }
+                    
+                    transactions.push({
+                        id: tx.txId || tx.id || `tx_${tickNumber}_${transactions.length}`,
+                        sourceId: tx.sourceId || 'Unknown',
+                        destId: tx.destId || 'Unknown',
+                        amount: parseInt(tx.amount || 0),
+                        tick: tickNumber,
+                        timestamp,
+                        type: tx.destId === wallet ? 'incoming' : 'outgoing',
+                        moneyFlew: moneyFlew !== false,
+                        inputType: parseInt(tx.inputType || 0),
+                        inputHex: this.getInputHex(tx)
+                    });
                 }
             }
-            
-            return transactions;
+        }
+        
+        if (recordedTimestamps) {
+            this.saveTickTimestamps();
+        }
+
+        return transactions;
+    }
+
+    /**
+     * Get a transaction's input payload as hex (sent as hex or base64 depending on the endpoint)
+     */
+    getInputHex(tx) {
+        if (tx.inputHex) return tx.inputHex.toLowerCase();
+
+        const base64 = tx.inputData || tx.input;
+        if (!base64) return '';
+
+        try {
+            return Array.from(atob(base64), char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('');
         } catch (error) {
-            console.error('Error fetching transactions:', error);
-            throw new Error(`Failed to fetch transactions: ${error.message}`);
+            console.error('Error decoding transaction input:', error);
+            return '';
         }
     }
 
     /**
-     * Get network status
+     * Whether text is a transaction id (60 lowercase letters)
      */
-    async getNetworkStatus() {
+    isTransactionId(id) {
+        return /^[a-z]{60}$/.test(id || '');
+    }
+
+    /**
+     * Get a single transaction with everything the RPC knows about it
+     * Returns { id, sourceId, destId, amount, tick, timestamp, timeEstimated, moneyFlew,
+     * inputType, inputSize, inputHex }; moneyFlew is null when the execution status is unknown
+     */
+    async getTransaction(id) {
+        if (!this.isTransactionId(id)) {
+            throw new Error('Invalid transaction id');
+        }
+
         try {
-            const data = await this.fetchWithRetry(`${this.baseUrl}/v1/status`);
-            
+            const data = await this.request(`/v2/transactions/${id}`);
+            const tx = data.transaction || {};
+            const tick = parseInt(tx.tickNumber || 0);
+            const inputHex = this.getInputHex(tx);
+
+            let timestamp = this.parseTimestamp(data.timestamp);
+            let timeEstimated = false;
+            if (timestamp !== null) {
+                this.recordTickTimestamp(tick, timestamp);
+                this.saveTickTimestamps();
+            } else {
+                timestamp = await this.getTickTimestamp(tick);
+                if (timestamp === null) {
+                    timestamp = this.estimateTickTimestamp(tick);
+                    timeEstimated = timestamp !== null;
+                }
+            }
+
+            const moneyFlew = data.moneyFlew !== undefined
+                ? data.moneyFlew
+                : await this.getTransactionStatus(id);
+
             return {
-                currentTick: data.lastProcessedTick?.tickNumber || 0,
-                epoch: data.epoch || 0,
-                lastUpdate: data.lastProcessedTick?.timestamp || new Date().toISOString()
+                id: tx.txId || id,
+                sourceId: tx.sourceId || 'Unknown',
+                destId: tx.destId || 'Unknown',
+                amount: parseInt(tx.amount || 0),
+                tick,
+                timestamp,
+                timeEstimated,
+                moneyFlew,
+                inputType: parseInt(tx.inputType || 0),
+                inputSize: tx.inputSize !== undefined ? parseInt(tx.inputSize) : inputHex.length / 2,
+                inputHex
             };
+        } catch (error) {
+            console.error('Error fetching transaction:', error);
+            throw QubicAPIError.wrap(error, 'Failed to fetch transaction');
+        }
+    }
+
+    /**
+     * Whether a transaction was executed, from the transaction status service (null when unknown)
+     */
+    async getTransactionStatus(id) {
+        try {
+            const data = await this.request(`/v1/tx-status/${id}`);
+            return data.transactionStatus ? data.transactionStatus.moneyFlew === true : null;
+        } catch (error) {
+            if (error.type === 'aborted') throw error;
+
+            console.error('Error fetching transaction status:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get open QX orders of an asset ('ask' or 'bid'), best first
+     * Each order is { entity, price, shares } with the price in QU per share
+     */
+    async getAssetOrders(assetName, issuer, side) {
+        const endpoint = side === 'bid' ? 'getAssetBidOrders' : 'getAssetAskOrders';
+        const params = new URLSearchParams({ assetName, issuerId: issuer, offset: 0 });
+
+        try {
+            // Order books move slowly enough to show the last copy while refreshing it
+            const data = await this.request(`/v1/qx/${endpoint}?${params}`, { staleWhileRevalidate: true });
+
+            return (data.orders || [])
+                .map(order => ({
+                    entity: order.entity,
+                    price: parseInt(order.price || 0),
+                    shares: parseInt(order.numberOfShares || 0)
+                }))
+                .filter(order => order.price > 0)
+                .sort((a, b) => side === 'bid' ? b.price - a.price : a.price - b.price);
+        } catch (error) {
+            console.error(`Error fetching ${side} orders:`, error);
+            throw QubicAPIError.wrap(error, `Failed to fetch ${side} orders`);
+        }
+    }
+
+    /**
+     * Get recent QX trades of an asset, newest first
+     * Each trade is { price, shares, timestamp } with the price in QU per share
+     */
+    async getAssetTrades(assetName, issuer) {
+        // The mock server also answers trade history requests
+        const template = endpointManager.isFixtureMode()
+            ? `${endpointManager.fixtureUrl}/v1/qx/issuer/{issuer}/asset/{asset}/trades`
+            : this.qxTradesUrl;
+        const url = template
+            .replace('{issuer}', encodeURIComponent(issuer))
+            .replace('{asset}', encodeURIComponent(assetName));
+
+        try {
+            const data = await this.fetchWithRetry(url, { staleWhileRevalidate: true });
+            const trades = Array.isArray(data) ? data : (data.trades || []);
+
+            return trades
+                .map(trade => ({
+                    price: parseInt(trade.price || 0),
+                    shares: parseInt(trade.numberOfShares || trade.shares || 0),
+                    timestamp: this.parseTimestamp(trade.tickTime || trade.timestamp)
+                }))
+                .filter(trade => trade.price > 0)
+                .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+        } catch (error) {
+            console.error('Error fetching trades:', error);
+            throw QubicAPIError.wrap(error, 'Failed to fetch trades');
+        }
+    }
+
+    /**
+     * Get best bid, best ask and last trade price of an asset in QU
+     * Missing sides are null; the trade history is optional and does not fail the lookup
+     */
+    async getAssetMarket(assetName, issuer) {
+        const [asks, bids, trades] = await Promise.all([
+            this.getAssetOrders(assetName, issuer, 'ask'),
+            this.getAssetOrders(assetName, issuer, 'bid'),
+            this.getAssetTrades(assetName, issuer).catch(() => [])
+        ]);
+
+        const market = {
+            bid: bids.length > 0 ? bids[0].price : null,
+            ask: asks.length > 0 ? asks[0].price : null,
+            last: trades.length > 0 ? trades[0].price : null,
+            lastTradeAt: trades.length > 0 ? trades[0].timestamp : null
+        };
+
+        market.price = this.getMarketPrice(market);
+        return market;
+    }
+
+    /**
+     * Price used to value holdings: last trade, else the bid/ask midpoint, else whichever side exists
+     */
+    getMarketPrice({ bid, ask, last }) {
+        if (last !== null) return last;
+        if (bid !== null && ask !== null) return (bid + ask) / 2;
+        if (bid !== null) return bid;
+        return ask;
+    }
+
+    /**
+     * Get network status
+     */
+    async getNetworkStatus() {
+        try {
+            const status = this.parseStatus(await this.request('/v1/status'));
+
+            // The last processed tick is close to "now", which anchors recent estimates
+            if (status.currentTick) {
+                this.liveTick = { tick: status.currentTick, timestamp: Date.now(), epoch: status.epoch };
+            }
+
+            return status;
         } catch (error) {
             console.error('Error fetching network status:', error);
-            throw new Error(`Failed to fetch network status: ${error.message}`);
+            throw QubicAPIError.wrap(error, 'Failed to fetch network status');
+        }
+    }
+
+    /**
+     * Read tick and epoch from a status response
+     */
+    parseStatus(data) {
+        return {
+            currentTick: data.lastProcessedTick?.tickNumber || 0,
+            epoch: data.epoch || data.lastProcessedTick?.epoch || 0,
+            lastUpdate: data.lastProcessedTick?.timestamp || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Query one endpoint's status directly (no cache, no failover) for health checks
+     * Returns { tick, latency }
+     */
+    async getEndpointStatus(endpoint) {
+        const started = Date.now();
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeout);
+
+        try {
+            const response = await fetch(`${endpoint.url}/v1/status`, {
+                signal: controller.signal,
+                headers: {
+                    'Accept': 'application/json',
+                    ...endpoint.headers
+                }
+            });
+
+            if (!response.ok) {
+                throw QubicAPIError.fromResponse(response);
+            }
+
+            const status = this.parseStatus(await response.json());
+            return { tick: status.currentTick, latency: Date.now() - started };
+        } catch (error) {
+            throw this.toAPIError(error, controller.signal);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Get the timestamp of a tick from its tick data (null for empty ticks)
+     */
+    async getTickTimestamp(tick) {
+        if (this.tickTimestamps.has(tick)) {
+            return this.tickTimestamps.get(tick);
+        }
+
+        try {
+            const data = await this.request(`/v1/ticks/${tick}/tick-data`);
+            const timestamp = this.parseTimestamp(data.tickData?.timestamp);
+
+            if (timestamp !== null) {
+                this.recordTickTimestamp(tick, timestamp);
+            }
+            return timestamp;
+        } catch (error) {
+            if (error.type === 'aborted') throw error;
+
+            console.error(`Error fetching tick ${tick}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve timestamps for many ticks
+     * Looks up at most maxLookups ticks that are far from any known tick and
+     * interpolates the rest. Returns Map of tick -> { timestamp, estimated }
+     */
+    async resolveTickTimestamps(ticks, maxLookups = 10) {
+        const unique = [...new Set(ticks)].sort((a, b) => a - b);
+        const missing = unique.filter(tick =>
+            !this.tickTimestamps.has(tick) &&
+            !this.failedTickLookups.has(tick) &&
+            this.getAnchorGap(tick) > this.tickAnchorSpacing
+        );
+
+        // Spread lookups evenly over the ticks that still need an anchor
+        const lookups = [];
+        const step = Math.max(1, missing.length / maxLookups);
+        for (let i = 0; i < missing.length && lookups.length < maxLookups; i += step) {
+            lookups.push(missing[Math.floor(i)]);
+        }
+
+        const results = await Promise.all(lookups.map(tick => this.getTickTimestamp(tick)));
+        results.forEach((timestamp, i) => {
+            if (timestamp === null) {
+                this.failedTickLookups.add(lookups[i]);
+            }
+        });
+
+        if (lookups.length > 0) {
+            this.saveTickTimestamps();
+        }
+
+        const resolved = new Map();
+        unique.forEach(tick => {
+            if (this.tickTimestamps.has(tick)) {
+                resolved.set(tick, { timestamp: this.tickTimestamps.get(tick), estimated: false });
+            } else {
+                resolved.set(tick, { timestamp: this.estimateTickTimestamp(tick), estimated: true });
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Estimate a tick's timestamp from the nearest known ticks
+     */
+    estimateTickTimestamp(tick) {
+        const anchors = this.getTickAnchors();
+        if (anchors.length === 0) return null;
+
+        let upper = anchors.findIndex(([anchorTick]) => anchorTick >= tick);
+        if (upper === -1) upper = anchors.length;
+
+        // Interpolate between the surrounding anchors when both exist
+        if (upper > 0 && upper < anchors.length) {
+            const [tick0, time0] = anchors[upper - 1];
+            const [tick1, time1] = anchors[upper];
+            return Math.round(time0 + (time1 - time0) * (tick - tick0) / (tick1 - tick0));
+        }
+
+        // Otherwise extrapolate from the closest anchor
+        const [anchorTick, anchorTime] = upper === 0 ? anchors[0] : anchors[anchors.length - 1];
+        return Math.round(anchorTime + (tick - anchorTick) * this.tickDuration);
+    }
+
+    /**
+     * Distance in ticks to the farther of the two surrounding known ticks
+     */
+    getAnchorGap(tick) {
+        const anchors = this.getTickAnchors();
+        const lower = anchors.filter(([anchorTick]) => anchorTick <= tick).pop();
+        const upper = anchors.find(([anchorTick]) => anchorTick >= tick);
+
+        if (!lower || !upper) return Infinity;
+        return Math.max(tick - lower[0], upper[0] - tick);
+    }
+
+    /**
+     * Known [tick, timestamp] pairs sorted by tick, including the live network tick
+     */
+    getTickAnchors() {
+        const anchors = Array.from(this.tickTimestamps);
+        if (this.liveTick) {
+            anchors.push([this.liveTick.tick, this.liveTick.timestamp]);
+        }
+        return anchors.sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Remember a tick timestamp
+     */
+    recordTickTimestamp(tick, timestamp) {
+        this.tickTimestamps.set(tick, timestamp);
+    }
+
+    /**
+     * Persist known tick timestamps, keeping the most recent ticks
+     */
+    saveTickTimestamps() {
+        const entries = Array.from(this.tickTimestamps)
+            .sort((a, b) => b[0] - a[0])
+            .slice(0, this.maxTickTimestamps);
+
+        storage.saveTickTimestamps(Object.fromEntries(entries));
+    }
+
+    /**
+     * Load persisted tick timestamps
+     */
+    loadTickTimestamps() {
+        const saved = storage.getTickTimestamps();
+        return new Map(Object.entries(saved).map(([tick, timestamp]) => [parseInt(tick), timestamp]));
+    }
+
+    /**
+     * Parse a timestamp given as milliseconds (number or string) or a date string
+     */
+    parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const numeric = Number(value);
+        if (!isNaN(numeric)) return numeric;
+
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Get the epoch a timestamp falls in
+     * Epochs change every Wednesday at 12:00 UTC; counted back from the current epoch
+     */
+    getEpochForTimestamp(timestamp) {
+        if (!this.liveTick || !this.liveTick.epoch) return null;
+
+        const week = 7 * 86400000;
+        // 1970-01-07 12:00 UTC was a Wednesday
+        const firstBoundary = 6 * 86400000 + 12 * 3600000;
+        const currentStart = firstBoundary + Math.floor((this.liveTick.timestamp - firstBoundary) / week) * week;
+
+        if (timestamp >= currentStart) {
+            return this.liveTick.epoch;
         }
+        return this.liveTick.epoch - Math.ceil((currentStart - timestamp) / week);
     }
 
     /**
@@ -6,11 +6,26 @@
 class QubicPortfolioApp {
     constructor() {
         this.currentWallet = null;
+        this.aggregateView = false;
         this.portfolioData = null;
         this.transactions = [];
+        this.walletTransactions = new Map();
+        this.ledgerStates = new Map();
+        this.historyLoad = null;
+        this.groupBy = 'none';
+        this.historyRange = '30d';
+        this.taxPrices = [];
+        this.priceQuote = null;
+        this.assetDistributionMode = 'value';
+        this.selectedAsset = null;
+        this.taxReportData = null;
         this.assets = [];
         this.refreshInterval = null;
         this.isLoading = false;
+        this.currentLoad = null; // { viewKey } of the running loadAllData()
+        this.offline = false;
+        this.drawerTransactionId = null; // Transaction shown in the detail drawer
+        this.WALLET_COLORS = chartManager.defaultColors.slice(0, 8);
         
         this.init();
     }
@@ -20,6 +35,8 @@ class QubicPortfolioApp {
      */
     init() {
         this.setupEventListeners();
+        this.setupEndpointMonitoring();
+        this.setupServiceWorker();
         this.loadRecentWallets();
         this.loadSettings();
         this.checkUrlParams();
@@ -41,6 +58,11 @@ class QubicPortfolioApp {
         
         addWalletBtn.addEventListener('click', () => this.addWallet());
 
+        // Aggregated view of all saved wallets
+        document.getElementById('all-wallets-btn').addEventListener('click', () => {
+            this.showAllWallets();
+        });
+
         // Recent wallets dropdown
         const recentWalletsBtn = document.getElementById('recent-wallets-btn');
         const dropdown = document.getElementById('recent-wallets-dropdown');
@@ -60,11 +82,26 @@ class QubicPortfolioApp {
             e.stopPropagation();
         });
 
+        // Search saved wallets by label or address
+        document.getElementById('wallet-search').addEventListener('input', () => {
+            this.loadRecentWallets();
+        });
+
         // Clear history button
         document.getElementById('clear-history-btn').addEventListener('click', () => {
             this.clearWalletHistory();
         });
 
+        // Backup and restore
+        document.getElementById('backup-export-btn').addEventListener('click', () => {
+            transactionExporter.download(storage.exportData(), 'qubic-tracker-backup.json', 'application/json');
+        });
+
+        document.getElementById('backup-import-file').addEventListener('change', (e) => {
+            this.restoreBackup(e.target.files[0]);
+            e.target.value = '';
+        });
+
         // Copy wallet button
         document.getElementById('copy-wallet-btn').addEventListener('click', () => {
             this.copyWalletAddress();
@@ -90,6 +127,158 @@ class QubicPortfolioApp {
         document.getElementById('tx-filter').addEventListener('change', (e) => {
             this.filterTransactions(e.target.value);
         });
+
+        // Transaction grouping
+        document.getElementById('tx-group').addEventListener('change', (e) => {
+            this.setGroupBy(e.target.value);
+        });
+
+        // Transaction export
+        document.getElementById('export-tx-btn').addEventListener('click', () => {
+            this.exportTransactions();
+        });
+
+        // Performance history range
+        document.getElementById('history-range').addEventListener('change', (e) => {
+            this.historyRange = e.target.value;
+            this.updatePerformanceHistory();
+        });
+
+        // Alerts
+        document.getElementById('alert-type').addEventListener('change', () => {
+            this.updateAlertForm();
+        });
+
+        document.getElementById('alert-add-btn').addEventListener('click', () => {
+            this.addAlertRule();
+        });
+
+        document.getElementById('alert-permission-btn').addEventListener('click', async () => {
+            await alertManager.requestNotificationPermission();
+            this.renderAlerts();
+        });
+
+        document.getElementById('alert-clear-btn').addEventListener('click', () => {
+            alertManager.clearHistory();
+            this.renderAlerts();
+        });
+
+        // Address book
+        document.getElementById('addressbook-save-btn').addEventListener('click', () => {
+            this.saveAddressBookEntry();
+        });
+
+        document.getElementById('addressbook-export-btn').addEventListener('click', () => {
+            transactionExporter.download(addressBook.toCSV(), 'qubic-address-book.csv', 'text/csv');
+        });
+
+        document.getElementById('addressbook-import-file').addEventListener('change', (e) => {
+            this.importAddressBook(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Transaction drawer
+        document.getElementById('tx-drawer-close').addEventListener('click', () => {
+            this.closeTransaction();
+        });
+
+        document.getElementById('tx-drawer-backdrop').addEventListener('click', () => {
+            this.closeTransaction();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.drawerTransactionId) {
+                this.closeTransaction();
+            }
+        });
+
+        // Offline mode: show last-known data and resync when the connection returns
+        window.addEventListener('online', () => {
+            if (this.getActiveWallets().length > 0) {
+                this.loadAllData();
+            }
+        });
+
+        window.addEventListener('offline', () => {
+            if (this.getActiveWallets().length > 0) {
+                this.showOfflineData(this.getViewKey());
+            }
+        });
+
+        document.getElementById('offline-retry-btn').addEventListener('click', () => {
+            this.loadAllData();
+        });
+
+        // App updates and installation
+        document.getElementById('update-reload-btn').addEventListener('click', () => {
+            pwaManager.applyUpdate();
+        });
+
+        document.getElementById('install-btn').addEventListener('click', () => {
+            pwaManager.promptInstall();
+        });
+
+        // RPC endpoints
+        document.getElementById('endpoint-indicator').addEventListener('click', () => {
+            const panel = document.getElementById('endpoint-settings');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            this.renderEndpointSettings();
+        });
+
+        document.getElementById('endpoint-add-btn').addEventListener('click', () => {
+            const list = document.getElementById('endpoint-list');
+            const priority = list.children.length + 1;
+            list.insertAdjacentHTML('beforeend', this.renderEndpointRow({ url: '', priority, headers: {}, enabled: true }));
+        });
+
+        document.getElementById('endpoint-check-btn').addEventListener('click', async () => {
+            await endpointManager.checkHealth(true);
+            this.renderEndpointSettings();
+        });
+
+        document.getElementById('endpoint-save-btn').addEventListener('click', () => {
+            this.saveEndpointSettings();
+        });
+
+        // Fiat pricing
+        document.getElementById('price-currency').addEventListener('change', (e) => {
+            priceService.saveConfig({ currency: e.target.value });
+            this.refreshPrice();
+        });
+
+        document.getElementById('price-provider').addEventListener('change', (e) => {
+            priceService.saveConfig({ provider: e.target.value });
+            this.loadPriceSettings();
+            this.refreshPrice();
+        });
+
+        document.getElementById('price-settings-btn').addEventListener('click', () => {
+            const panel = document.getElementById('price-settings');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+
+        document.getElementById('price-save-btn').addEventListener('click', () => {
+            this.savePriceSettings();
+        });
+
+        document.getElementById('price-file').addEventListener('change', (e) => {
+            this.loadPriceFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Tax report
+        document.getElementById('tax-price-file').addEventListener('change', (e) => {
+            this.loadTaxPriceFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('tax-generate-btn').addEventListener('click', () => {
+            this.generateTaxReport();
+        });
+
+        document.getElementById('tax-download-btn').addEventListener('click', () => {
+            this.downloadTaxReport();
+        });
     }
 
     /**
@@ -104,8 +293,9 @@ class QubicPortfolioApp {
             return;
         }
 
-        if (wallet.length < 50) {
-            this.showToast('Invalid wallet address format', 'error');
+        const validation = identityValidator.validate(wallet);
+        if (!validation.valid) {
+            this.showToast(validation.error, 'error');
             return;
         }
 
@@ -126,11 +316,48 @@ class QubicPortfolioApp {
      * Set current wallet and load data
      */
     async setCurrentWallet(wallet) {
-        if (this.currentWallet === wallet) return;
+        if (this.currentWallet === wallet && !this.aggregateView) return;
         
         this.currentWallet = wallet;
+        this.aggregateView = false;
         storage.updateWalletAccess(wallet);
         
+        await this.showView();
+    }
+
+    /**
+     * Show the combined portfolio of all saved wallets
+     */
+    async showAllWallets() {
+        document.getElementById('recent-wallets-dropdown').classList.remove('show');
+
+        if (storage.getWallets().length === 0) {
+            this.showToast('No saved wallets to combine', 'error');
+            return;
+        }
+
+        if (this.aggregateView) return;
+
+        this.currentWallet = null;
+        this.aggregateView = true;
+
+        await this.showView();
+    }
+
+    /**
+     * Reset view state and load data for the selected wallet(s)
+     */
+    async showView() {
+        // Responses for the previous wallet are no longer wanted
+        qubicAPI.cancelRequests();
+
+        this.portfolioData = null;
+        this.resetTransactions();
+        this.assets = [];
+
+        // Show stored transactions right away, before the network sync
+        this.readLedger();
+
         // Update UI
         this.updateWalletDisplay();
         document.getElementById('wallet-info').style.display = 'flex';
@@ -144,15 +371,40 @@ class QubicPortfolioApp {
         this.startAutoRefresh();
     }
 
+    /**
+     * Get the wallet addresses shown in the current view
+     */
+    getActiveWallets() {
+        if (this.aggregateView) {
+            return storage.getWallets().map(w => w.address);
+        }
+        return this.currentWallet ? [this.currentWallet] : [];
+    }
+
+    /**
+     * Get the key the current view is cached under
+     */
+    getViewKey() {
+        return this.aggregateView ? 'all' : this.currentWallet;
+    }
+
     /**
      * Update wallet display
      */
     updateWalletDisplay() {
         const walletAddress = document.getElementById('wallet-address');
-        if (this.currentWallet) {
-            walletAddress.textContent = 
+        const copyBtn = document.getElementById('copy-wallet-btn');
+
+        if (this.aggregateView) {
+            walletAddress.textContent = `All wallets (${this.getActiveWallets().length})`;
+            copyBtn.style.display = 'none';
+        } else if (this.currentWallet) {
+            const wallet = storage.getWallet(this.currentWallet);
+            const shortAddress = 
                 this.currentWallet.substring(0, 10) + '...' + 
                 this.currentWallet.substring(this.currentWallet.length - 10);
+            walletAddress.textContent = wallet && wallet.name ? `${wallet.name} (${shortAddress})` : shortAddress;
+            copyBtn.style.display = '';
         }
     }
 
@@ -163,6 +415,7 @@ class QubicPortfolioApp {
         const wallets = storage.getWallets();
         const walletList = document.getElementById('wallet-list');
         const walletCount = document.getElementById('wallet-count');
+        const query = document.getElementById('wallet-search').value.trim().toLowerCase();
         
         walletCount.textContent = wallets.length;
         
@@ -175,17 +428,77 @@ class QubicPortfolioApp {
             return;
         }
 
-        walletList.innerHTML = wallets.map(wallet => `
+        const matches = wallets.filter(wallet => !query ||
+            [wallet.address, wallet.name, wallet.group].some(value => value && value.toLowerCase().includes(query)));
+
+        if (matches.length === 0) {
+            walletList.innerHTML = `
+                <div class="empty-state">
+                    <p>No wallets match your search</p>
+                </div>
+            `;
+            return;
+        }
+
+        walletList.innerHTML = this.groupWallets(matches).map(section => `
+            ${section.title ? `<div class="wallet-group-header">${this.escapeHtml(section.title)}</div>` : ''}
+            ${section.wallets.map(wallet => this.renderWalletItem(wallet)).join('')}
+        `).join('');
+    }
+
+    /**
+     * Split wallets into pinned, grouped and ungrouped sections
+     */
+    groupWallets(wallets) {
+        const pinned = wallets.filter(w => w.pinned);
+        const unpinned = wallets.filter(w => !w.pinned);
+        const groups = [...new Set(unpinned.map(w => w.group).filter(Boolean))].sort();
+        const ungrouped = unpinned.filter(w => !w.group);
+
+        const sections = [];
+        if (pinned.length > 0) {
+            sections.push({ title: 'Pinned', wallets: pinned });
+        }
+        groups.forEach(group => {
+            sections.push({ title: group, wallets: unpinned.filter(w => w.group === group) });
+        });
+        if (ungrouped.length > 0) {
+            sections.push({ title: sections.length > 0 ? 'Other' : null, wallets: ungrouped });
+        }
+
+        return sections;
+    }
+
+    /**
+     * Render a wallet entry in the recent wallets dropdown
+     */
+    renderWalletItem(wallet) {
+        return `
             <div class="wallet-item" data-wallet="${wallet.address}">
+                <span class="wallet-color" style="background: ${this.getWalletColor(wallet)};"></span>
                 <div class="wallet-item-info">
+                    ${wallet.name ? `<div class="wallet-item-name">${this.escapeHtml(wallet.name)}</div>` : ''}
                     <div class="wallet-item-address">
                         ${wallet.address.substring(0, 20)}...${wallet.address.substring(wallet.address.length - 20)}
                     </div>
                     <div class="wallet-item-time">
-                        Last used: ${this.formatTimeAgo(wallet.lastAccessed)}
+                        ${wallet.group && wallet.pinned ? `${this.escapeHtml(wallet.group)} · ` : ''}Last used: ${this.formatTimeAgo(wallet.lastAccessed)}
                     </div>
                 </div>
                 <div class="wallet-item-actions">
+                    <button class="icon-btn ${wallet.pinned ? 'active' : ''}" onclick="app.toggleWalletPin('${wallet.address}')" title="${wallet.pinned ? 'Unpin wallet' : 'Pin wallet'}">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="${wallet.pinned ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+                            <path d="M12 17v5"/>
+                            <path d="M9 10.76V6h6v4.76l2 3.24H7z"/>
+                            <line x1="8" y1="2" x2="16" y2="2"/>
+                        </svg>
+                    </button>
+                    <button class="icon-btn" onclick="app.editWalletLabels('${wallet.address}')" title="Edit labels">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 20h9"/>
+                            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
+                        </svg>
+                    </button>
                     <button class="icon-btn" onclick="app.selectWallet('${wallet.address}')" title="Select wallet">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="20 6 9 17 4 12"/>
@@ -199,7 +512,98 @@ class QubicPortfolioApp {
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
+    }
+
+    /**
+     * Show the label editor for a wallet
+     */
+    editWalletLabels(address) {
+        const wallet = storage.getWallet(address);
+        const item = document.querySelector(`.wallet-item[data-wallet="${address}"]`);
+        if (!wallet || !item) return;
+
+        const groups = storage.getWalletGroups();
+
+        item.outerHTML = `
+            <form class="wallet-edit-form" data-wallet="${address}" onsubmit="event.preventDefault(); app.saveWalletLabels('${address}');">
+                <input type="text" class="wallet-input" name="name" placeholder="Wallet name" maxlength="40" value="${this.escapeHtml(wallet.name || '')}">
+                <input type="text" class="wallet-input" name="group" placeholder="Group (e.g. Cold storage)" maxlength="40" list="wallet-group-options" value="${this.escapeHtml(wallet.group || '')}">
+                <datalist id="wallet-group-options">
+                    ${groups.map(group => `<option value="${this.escapeHtml(group)}">`).join('')}
+                </datalist>
+                <div class="wallet-color-options">
+                    <label class="wallet-color-option">
+                        <input type="radio" name="color" value="" ${!wallet.color ? 'checked' : ''}>
+                        <span class="wallet-color" style="background: var(--gray-300);"></span>
+                    </label>
+                    ${this.WALLET_COLORS.map(color => `
+                        <label class="wallet-color-option">
+                            <input type="radio" name="color" value="${color}" ${wallet.color === color ? 'checked' : ''}>
+                            <span class="wallet-color" style="background: ${color};"></span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="wallet-edit-actions">
+                    <button type="button" class="btn-text" onclick="app.loadRecentWallets()">Cancel</button>
+                    <button type="submit" class="btn btn-primary">Save</button>
+                </div>
+            </form>
+        `;
+
+        document.querySelector(`.wallet-edit-form[data-wallet="${address}"] input[name="name"]`).focus();
+    }
+
+    /**
+     * Save labels from the wallet label editor
+     */
+    saveWalletLabels(address) {
+        const form = document.querySelector(`.wallet-edit-form[data-wallet="${address}"]`);
+        if (!form) return;
+
+        const saved = storage.updateWalletLabels(address, {
+            name: form.elements.name.value,
+            group: form.elements.group.value,
+            color: form.elements.color.value
+        });
+
+        if (saved) {
+            this.showToast('Wallet labels saved', 'success');
+        } else {
+            this.showToast('Failed to save wallet labels', 'error');
+        }
+
+        this.loadRecentWallets();
+        this.updateWalletDisplay();
+        if (this.portfolioData) {
+            this.displayWalletBreakdown(this.portfolioData);
+        }
+    }
+
+    /**
+     * Pin or unpin a wallet so it is never evicted from history
+     */
+    toggleWalletPin(address) {
+        const wallet = storage.getWallet(address);
+        if (!wallet) return;
+
+        storage.setWalletPinned(address, !wallet.pinned);
+        this.loadRecentWallets();
+    }
+
+    /**
+     * Get display name for a wallet (label or truncated address)
+     */
+    getWalletName(address) {
+        const wallet = storage.getWallet(address);
+        return wallet && wallet.name ? wallet.name : this.truncateAddress(address);
+    }
+
+    /**
+     * Get colour tag for a wallet
+     */
+    getWalletColor(wallet) {
+        return wallet && /^#[0-9a-f]{6}$/i.test(wallet.color || '') ? wallet.color : 'var(--gray-300)';
     }
 
     /**
@@ -215,12 +619,23 @@ class QubicPortfolioApp {
      */
     removeWallet(wallet) {
         storage.removeWallet(wallet);
+        transactionLedger.clearWallet(wallet);
+        snapshotStore.clear(wallet);
+        storage.removeCachedPortfolioData(wallet);
         this.loadRecentWallets();
         this.showToast('Wallet removed from history', 'success');
         
         // If it was the current wallet, clear the view
         if (this.currentWallet === wallet) {
             this.clearCurrentWallet();
+        } else if (this.aggregateView) {
+            if (storage.getWallets().length === 0) {
+                this.clearCurrentWallet();
+            } else {
+                this.updateWalletDisplay();
+                this.resetTransactions();
+                this.loadAllData();
+            }
         }
     }
 
@@ -230,17 +645,53 @@ class QubicPortfolioApp {
     clearWalletHistory() {
         if (confirm('Are you sure you want to clear all wallet history?')) {
             storage.clearWallets();
+            storage.clearCache();
+            transactionLedger.clearAll();
+            snapshotStore.clearAll();
             this.loadRecentWallets();
             this.showToast('Wallet history cleared', 'success');
             this.clearCurrentWallet();
         }
     }
 
+    /**
+     * Restore wallets and settings from a backup file, listing wallets that failed validation
+     */
+    async restoreBackup(file) {
+        if (!file) return;
+
+        const result = storage.importData(await file.text());
+        if (!result.success) {
+            this.showToast('Failed to read backup file', 'error');
+            return;
+        }
+
+        addressBook.invalidate();
+        this.loadRecentWallets();
+        this.loadSettings();
+        this.showToast(`Restored ${result.imported} wallets`, 'success');
+
+        if (result.errors.length > 0) {
+            const details = result.errors
+                .map(({ address, error }) => `${this.truncateAddress(address) || '(no address)'}: ${error}`)
+                .join('; ');
+            this.showToast(`Skipped ${result.errors.length} invalid wallets: ${details}`, 'error');
+        }
+
+        if (result.skippedAddresses > 0) {
+            this.showToast(`Skipped ${result.skippedAddresses} invalid address book entries`, 'error');
+        }
+    }
+
     /**
      * Clear current wallet
      */
     clearCurrentWallet() {
+        qubicAPI.cancelRequests();
+        this.setOffline(false);
         this.currentWallet = null;
+        this.aggregateView = false;
+        this.resetTransactions();
         this.stopAutoRefresh();
         document.getElementById('wallet-info').style.display = 'none';
         document.getElementById('main-content').style.display = 'none';
@@ -265,116 +716,827 @@ class QubicPortfolioApp {
      * Load all data
      */
     async loadAllData() {
-        if (!this.currentWallet || this.isLoading) return;
-        
+        const wallets = this.getActiveWallets();
+        const viewKey = this.getViewKey();
+
+        // A load for another view was cancelled when the view changed and may still be unwinding
+        if (wallets.length === 0 || (this.isLoading && this.currentLoad.viewKey === viewKey)) return;
+
+        const load = { viewKey };
         this.isLoading = true;
+        this.currentLoad = load;
         this.updateRefreshIndicator(true);
 
         try {
+            // Nothing to fetch without a connection
+            if (navigator.onLine === false) {
+                this.showOfflineData(viewKey);
+                return;
+            }
+
+            // Make sure requests go to a healthy, up-to-date node
+            await endpointManager.checkHealth();
+
             // Check cache first
-            const cached = storage.getCachedPortfolioData(this.currentWallet);
+            const cached = storage.getCachedPortfolioData(viewKey);
             if (cached) {
                 this.updatePortfolioDisplay(cached);
             }
 
             // Load fresh data
-            const [balance, assets, networkStatus] = await Promise.all([
-                qubicAPI.getBalance(this.currentWallet),
-                qubicAPI.getAssets(this.currentWallet),
-                qubicAPI.getNetworkStatus()
+            const [walletData, networkStatus, priceQuote] = await Promise.all([
+                Promise.all(wallets.map(async address => {
+                    const [balance, assets] = await Promise.all([
+                        qubicAPI.getBalance(address),
+                        qubicAPI.getAssets(address)
+                    ]);
+                    return { address, balance, assets };
+                })),
+                qubicAPI.getNetworkStatus(),
+                priceService.getQuote()
             ]);
 
+            if (this.getViewKey() !== viewKey) return;
+
+            this.setPriceQuote(priceQuote);
+
             const portfolioData = {
-                balance,
-                assets,
+                balance: walletData.reduce((sum, w) => sum + w.balance, 0),
+                assets: this.mergeAssets(walletData),
                 networkStatus,
-                wallet: this.currentWallet
+                wallet: viewKey,
+                wallets: walletData
             };
 
+            await this.priceAssets(portfolioData.assets);
+
             this.portfolioData = portfolioData;
-            this.assets = assets;
+            this.assets = portfolioData.assets;
             
             // Update cache
-            storage.cachePortfolioData(this.currentWallet, portfolioData);
+            storage.cachePortfolioData(viewKey, portfolioData);
+
+            // Record snapshots for the performance history
+            const tick = networkStatus.currentTick;
+            walletData.forEach(wallet => snapshotStore.record(wallet.address, { tick, ...wallet }));
+            if (this.aggregateView) {
+                snapshotStore.record(viewKey, { tick, ...portfolioData });
+            }
+            this.updatePerformanceHistory();
             
             // Update UI
             this.updatePortfolioDisplay(portfolioData);
             this.updateNetworkStatus(networkStatus);
             this.updateTimestamp();
 
-            // Load transactions if tab is active
-            const activeTab = document.querySelector('.tab-pane.active').id;
-            if (activeTab === 'transactions-tab') {
-                await this.loadTransactions();
+            if (this.offline) {
+                this.showToast('Back online, portfolio data is up to date', 'success');
+                this.setOffline(false);
             }
 
+            // Sync new transfers into the ledger (cheap when nothing changed)
+            await this.loadTransactions();
+
+            this.checkAlerts(walletData);
+
         } catch (error) {
+            if (error.type === 'aborted') return;
+
+            // Every endpoint is unreachable, which for this app is the same as being offline
+            if (error.type === 'network' || error.type === 'timeout') {
+                this.showOfflineData(viewKey);
+                return;
+            }
+
             console.error('Error loading data:', error);
-            this.showToast('Failed to load portfolio data', 'error');
+            this.showToast(this.getErrorMessage(error, 'Failed to load portfolio data'), 'error');
         } finally {
-            this.isLoading = false;
-            this.updateRefreshIndicator(false);
+            if (this.currentLoad === load) {
+                this.isLoading = false;
+                this.currentLoad = null;
+                this.updateRefreshIndicator(false);
+            }
         }
     }
 
     /**
-     * Load transactions
+     * Evaluate alert rules against what changed since the previous refresh
      */
-    async loadTransactions() {
-        if (!this.currentWallet) return;
+    checkAlerts(walletData) {
+        const alerts = alertManager.check(walletData.map(wallet => ({
+            wallet: wallet.address,
+            name: this.getWalletName(wallet.address),
+            balance: wallet.balance,
+            assets: wallet.assets,
+            transactions: this.walletTransactions.get(wallet.address) || null
+        })));
 
-        try {
-            const transactions = await qubicAPI.getTransactions(this.currentWallet);
-            this.transactions = transactions;
-            this.displayTransactions(transactions);
-            this.updateAnalytics(transactions);
-        } catch (error) {
-            console.error('Error loading transactions:', error);
-            this.showToast('Failed to load transactions', 'error');
+        alerts.forEach(alert => this.showToast(alert.message, 'info'));
+
+        if (alerts.length > 0) {
+            this.renderAlerts();
         }
     }
 
     /**
-     * Update portfolio display
+     * Render alert rules, mute controls and history
      */
-    updatePortfolioDisplay(data) {
-        // Update balance
-        const balanceEl = document.getElementById('qu-balance');
-        balanceEl.innerHTML = `${(data.balance || 0).toLocaleString()} <span style="font-size: 16px;">QU</span>`;
-        balanceEl.classList.remove('skeleton');
+    renderAlerts() {
+        const wallets = storage.getWallets();
+        const walletSelect = document.getElementById('alert-wallet');
+        const selectedWallet = walletSelect.value;
 
-        // Update asset count
-        const assetCountEl = document.getElementById('asset-count');
-        assetCountEl.textContent = data.assets.length;
-        assetCountEl.classList.remove('skeleton');
+        walletSelect.innerHTML = `
+            <option value="">All wallets</option>
+            ${wallets.map(wallet => `<option value="${wallet.address}">${this.escapeHtml(this.getWalletName(wallet.address))}</option>`).join('')}
+        `;
+        walletSelect.value = wallets.some(wallet => wallet.address === selectedWallet) ? selectedWallet : '';
+        this.updateAlertForm();
 
-        // Update assets grid
-        const assetsGrid = document.getElementById('assets-grid');
-        if (data.assets.length === 0) {
-            assetsGrid.innerHTML = '<div class="empty-state">No assets found</div>';
-        } else {
-            assetsGrid.innerHTML = data.assets.map(asset => `
-                <div class="asset-item" onclick="app.showAssetDetails('${asset.name}', ${asset.amount})">
-                    <div class="asset-header">
-                        <span class="asset-name">${asset.name}</span>
-                        <span class="asset-amount">${asset.amount.toLocaleString()}</span>
-                    </div>
-                    <div style="font-size: 12px; color: var(--gray-500);">Click for details</div>
-                </div>
-            `).join('');
-        }
-    }
+        const permission = alertManager.getNotificationPermission();
+        const permissionButton = document.getElementById('alert-permission-btn');
+        permissionButton.disabled = permission !== 'default';
+        permissionButton.textContent = {
+            granted: 'Notifications On',
+            denied: 'Notifications Blocked',
+            unsupported: 'Notifications Unsupported'
+        }[permission] || 'Enable Notifications';
 
-    /**
-     * Display transactions
-     */
-    displayTransactions(transactions) {
-        const container = document.getElementById('transactions-container');
-        
-        if (transactions.length === 0) {
-            container.innerHTML = '<div class="empty-state">No transactions found</div>';
-            return;
-        }
+        const rules = alertManager.getRules();
+        document.getElementById('alert-rules').innerHTML = rules.length === 0
+            ? '<div class="empty-state"><p>No alert rules yet. Alerts are checked on every refresh and shown here, as toasts and as browser notifications.</p></div>'
+            : `
+                <table class="transaction-table">
+                    <thead>
+                        <tr>
+                            <th>Rule</th>
+                            <th>Wallet</th>
+                            <th>Enabled</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rules.map(rule => `
+                            <tr>
+                                <td>${alertManager.describeRule(rule)}</td>
+                                <td>${rule.wallet ? this.escapeHtml(this.getWalletName(rule.wallet)) : 'All wallets'}</td>
+                                <td><input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="app.toggleAlertRule('${rule.id}', this.checked)"></td>
+                                <td><button class="icon-btn" onclick="app.removeAlertRule('${rule.id}')" title="Remove rule">✕</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        document.getElementById('alert-mutes').innerHTML = wallets.length === 0
+            ? '<div class="empty-state"><p>No saved wallets</p></div>'
+            : wallets.map(wallet => `
+                <label class="alert-mute">
+                    <input type="checkbox" ${alertManager.isMuted(wallet.address) ? 'checked' : ''} onchange="app.setWalletMuted('${wallet.address}', this.checked)">
+                    Mute ${this.escapeHtml(this.getWalletName(wallet.address))}
+                </label>
+            `).join('');
+
+        const history = alertManager.getHistory();
+        document.getElementById('alert-history').innerHTML = history.length === 0
+            ? '<div class="empty-state"><p>No alerts have fired yet</p></div>'
+            : `
+                <table class="transaction-table">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Alert</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${history.map(alert => `
+                            <tr>
+                                <td>${new Date(alert.timestamp).toLocaleString()}</td>
+                                <td>${this.escapeHtml(alert.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+    }
+
+    /**
+     * Show the threshold field only for rules that use one
+     */
+    updateAlertForm() {
+        const type = alertManager.RULE_TYPES[document.getElementById('alert-type').value];
+        document.getElementById('alert-threshold').style.display = type.threshold ? '' : 'none';
+    }
+
+    /**
+     * Add an alert rule from the form
+     */
+    addAlertRule() {
+        try {
+            alertManager.addRule({
+                type: document.getElementById('alert-type').value,
+                threshold: parseFloat(document.getElementById('alert-threshold').value),
+                wallet: document.getElementById('alert-wallet').value || null
+            });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        document.getElementById('alert-threshold').value = '';
+        this.renderAlerts();
+        this.showToast('Alert rule added', 'success');
+    }
+
+    /**
+     * Enable or disable an alert rule
+     */
+    toggleAlertRule(id, enabled) {
+        alertManager.setRuleEnabled(id, enabled);
+    }
+
+    /**
+     * Remove an alert rule
+     */
+    removeAlertRule(id) {
+        alertManager.removeRule(id);
+        this.renderAlerts();
+    }
+
+    /**
+     * Mute or unmute alerts for a wallet
+     */
+    setWalletMuted(address, muted) {
+        alertManager.setMuted(address, muted);
+        this.showToast(`Alerts ${muted ? 'muted' : 'unmuted'} for ${this.getWalletName(address)}`, 'info');
+    }
+
+    /**
+     * Render the address book
+     */
+    renderAddressBook() {
+        const entries = addressBook.list();
+
+        document.getElementById('addressbook-list').innerHTML = `
+            <table class="transaction-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Category</th>
+                        <th>Identity</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td><strong>${this.escapeHtml(entry.name)}</strong></td>
+                            <td>${addressBook.CATEGORIES[entry.category] || addressBook.CATEGORIES.other}${entry.source === 'known' ? ' · built in' : ''}</td>
+                            <td style="font-family: monospace; font-size: 11px;" title="${entry.identity}">${this.truncateAddress(entry.identity)}</td>
+                            <td>
+                                <button class="icon-btn" onclick="app.nameAddress('${entry.identity}')" title="Edit">✎</button>
+                                ${entry.source === 'user' ? `<button class="icon-btn" onclick="app.removeAddressBookEntry('${entry.identity}')" title="Remove">✕</button>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Open the address book form for an identity
+     */
+    nameAddress(identity) {
+        const entry = addressBook.get(identity);
+
+        this.switchTab('addressbook');
+        document.getElementById('addressbook-identity').value = identity;
+        document.getElementById('addressbook-name').value = entry ? entry.name : '';
+        document.getElementById('addressbook-category').value = entry ? entry.category : 'other';
+        document.getElementById('addressbook-name').focus();
+    }
+
+    /**
+     * Save the address book form
+     */
+    saveAddressBookEntry() {
+        const identityInput = document.getElementById('addressbook-identity');
+        const nameInput = document.getElementById('addressbook-name');
+
+        try {
+            addressBook.set(
+                identityInput.value.trim(),
+                nameInput.value,
+                document.getElementById('addressbook-category').value
+            );
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        identityInput.value = '';
+        nameInput.value = '';
+        this.updateAddressNames();
+        this.showToast('Address saved', 'success');
+    }
+
+    /**
+     * Remove an address book entry
+     */
+    removeAddressBookEntry(identity) {
+        addressBook.remove(identity);
+        this.updateAddressNames();
+    }
+
+    /**
+     * Import address book entries from a CSV file
+     */
+    async importAddressBook(file) {
+        if (!file) return;
+
+        try {
+            const { imported, skipped } = addressBook.importCSV(await file.text());
+
+            if (imported === 0) {
+                this.showToast('No entries found in file (expected identity,name,category rows)', 'error');
+                return;
+            }
+
+            this.updateAddressNames();
+            this.showToast(`Imported ${imported} addresses${skipped > 0 ? `, skipped ${skipped} invalid rows` : ''}`, 'success');
+        } catch (error) {
+            console.error('Error reading address book file:', error);
+            this.showToast('Failed to read address book file', 'error');
+        }
+    }
+
+    /**
+     * Re-render views that show counterparty names
+     */
+    updateAddressNames() {
+        this.renderAddressBook();
+
+        if (this.transactions.length > 0) {
+            this.displayTransactions(this.getFilteredTransactions());
+            this.updateAnalytics(this.transactions);
+        }
+    }
+
+    /**
+     * Show the last-known data of a view and the offline banner
+     */
+    showOfflineData(viewKey) {
+        const lastKnown = storage.getLastKnownPortfolioData(viewKey);
+
+        if (lastKnown && !this.portfolioData) {
+            this.portfolioData = lastKnown.data;
+            this.assets = lastKnown.data.assets;
+            this.updatePortfolioDisplay(lastKnown.data);
+            this.updateNetworkStatus(lastKnown.data.networkStatus);
+        }
+
+        this.setOffline(true, lastKnown);
+    }
+
+    /**
+     * Show or hide the offline banner
+     */
+    setOffline(offline, lastKnown = null) {
+        this.offline = offline;
+        document.getElementById('offline-banner').style.display = offline ? 'flex' : 'none';
+        if (!offline) return;
+
+        const tick = lastKnown && lastKnown.data.networkStatus ? lastKnown.data.networkStatus.currentTick : null;
+        document.getElementById('offline-text').textContent = lastKnown
+            ? `Offline — data as of ${new Date(lastKnown.timestamp).toLocaleString()}${tick ? `, tick ${tick.toLocaleString()}` : ''}`
+            : 'Offline — no data has been loaded for this view yet';
+    }
+
+    /**
+     * Load transactions (syncs new transfers into the ledger, then reads it)
+     */
+    async loadTransactions() {
+        const wallets = this.getActiveWallets();
+        if (wallets.length === 0) return;
+
+        try {
+            await Promise.all(wallets.map(wallet => transactionLedger.sync(wallet)));
+            await this.readLedger(wallets);
+        } catch (error) {
+            if (error.type === 'aborted') return;
+
+            console.error('Error loading transactions:', error);
+            this.showToast(this.getErrorMessage(error, 'Failed to load transactions'), 'error');
+        }
+    }
+
+    /**
+     * Show transactions already stored in the ledger
+     */
+    async readLedger(wallets = this.getActiveWallets()) {
+        const viewKey = this.getViewKey();
+
+        try {
+            const [transactions, states] = await Promise.all([
+                Promise.all(wallets.map(wallet => transactionLedger.getTransactions(wallet))),
+                Promise.all(wallets.map(wallet => transactionLedger.getSyncState(wallet)))
+            ]);
+
+            await this.resolveTransactionTimes(transactions.flat());
+
+            // The user may have switched wallets while the ledger was being read
+            if (this.getViewKey() !== viewKey) return;
+
+            this.walletTransactions = new Map(wallets.map((wallet, i) => [wallet, transactions[i]]));
+            this.ledgerStates = new Map(wallets.map((wallet, i) => [wallet, states[i] || { wallet }]));
+            this.updateTransactionViews();
+        } catch (error) {
+            console.error('Error reading transaction ledger:', error);
+        }
+    }
+
+    /**
+     * Fill in real timestamps for transactions that only know their tick
+     */
+    async resolveTransactionTimes(transactions) {
+        const pending = transactions.filter(tx => !tx.timestamp);
+        if (pending.length === 0) return;
+
+        const resolved = await qubicAPI.resolveTickTimestamps(pending.map(tx => tx.tick));
+
+        pending.forEach(tx => {
+            const { timestamp, estimated } = resolved.get(tx.tick);
+            tx.timestamp = timestamp;
+            tx.timeEstimated = estimated;
+        });
+    }
+
+    /**
+     * Load the next page of older transfers for every wallet that has more
+     */
+    async loadMoreTransactions() {
+        const pending = this.getWalletsWithOlderHistory();
+        if (pending.length === 0 || this.historyLoad) return;
+
+        const button = document.getElementById('load-more-tx-btn');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Loading...';
+        }
+
+        try {
+            await Promise.all(pending.map(wallet => transactionLedger.loadOlder(wallet)));
+        } catch (error) {
+            if (error.type === 'aborted') return;
+
+            console.error('Error loading more transactions:', error);
+            this.showToast(this.getErrorMessage(error, 'Failed to load more transactions'), 'error');
+        }
+
+        await this.readLedger();
+    }
+
+    /**
+     * Load all remaining older transfers, showing progress as they arrive
+     */
+    async loadEntireHistory() {
+        const pending = this.getWalletsWithOlderHistory();
+        if (pending.length === 0 || this.historyLoad) return;
+
+        const load = { cancelled: false };
+        this.historyLoad = load;
+
+        const { loaded: loadedBefore, total } = this.getTransactionCounts();
+        let fetchedBefore = 0;
+        this.updateHistoryProgress(loadedBefore, total);
+
+        try {
+            for (const wallet of pending) {
+                let fetchedForWallet = 0;
+
+                await transactionLedger.loadOlder(wallet, {
+                    all: true,
+                    isCancelled: () => load.cancelled,
+                    onProgress: (fetched) => {
+                        fetchedForWallet = fetched;
+                        if (!load.cancelled) {
+                            this.updateHistoryProgress(loadedBefore + fetchedBefore + fetched, total);
+                        }
+                    }
+                });
+
+                fetchedBefore += fetchedForWallet;
+                if (load.cancelled) break;
+            }
+        } catch (error) {
+            if (error.type !== 'aborted') {
+                console.error('Error loading transaction history:', error);
+                this.showToast(this.getErrorMessage(error, 'Failed to load the full transaction history'), 'error');
+            }
+        } finally {
+            if (this.historyLoad === load) {
+                this.historyLoad = null;
+                await this.readLedger();
+            }
+        }
+    }
+
+    /**
+     * Stop an in-progress full history load (pages already stored are kept)
+     */
+    cancelHistoryLoad() {
+        if (this.historyLoad) {
+            this.historyLoad.cancelled = true;
+            this.historyLoad = null;
+            this.readLedger();
+        }
+    }
+
+    /**
+     * Forget loaded transactions of the previous view
+     */
+    resetTransactions() {
+        if (this.historyLoad) {
+            this.historyLoad.cancelled = true;
+            this.historyLoad = null;
+        }
+        this.transactions = [];
+        this.walletTransactions = new Map();
+        this.ledgerStates = new Map();
+    }
+
+    /**
+     * Get wallets whose older history has not been fully loaded
+     */
+    getWalletsWithOlderHistory() {
+        return Array.from(this.ledgerStates.values())
+            .filter(state => state.syncedTick !== undefined && !state.historyComplete)
+            .map(state => state.wallet);
+    }
+
+    /**
+     * Count loaded and total transfers across the wallets in view
+     */
+    getTransactionCounts() {
+        let loaded = 0;
+        let total = 0;
+
+        this.walletTransactions.forEach(transactions => { loaded += transactions.length; });
+        this.ledgerStates.forEach(state => { total += state.totalRecords || 0; });
+
+        return { loaded, total: Math.max(loaded, total) };
+    }
+
+    /**
+     * Rebuild the merged transaction list and refresh dependent views
+     */
+    updateTransactionViews() {
+        const loaded = [];
+        this.walletTransactions.forEach(transactions => loaded.push(...transactions));
+
+        this.transactions = this.mergeTransactions(loaded, this.getActiveWallets());
+        this.displayTransactions(this.getFilteredTransactions());
+        this.updatePagingControls();
+        this.updateAnalytics(this.transactions);
+    }
+
+    /**
+     * Show "Load more" and full history controls below the transaction table
+     */
+    updatePagingControls() {
+        const container = document.getElementById('tx-paging');
+        if (this.historyLoad) return;
+
+        const { loaded, total } = this.getTransactionCounts();
+        const hasMore = this.getWalletsWithOlderHistory().length > 0;
+
+        if (loaded === 0) {
+            container.innerHTML = '';
+        } else if (hasMore) {
+            container.innerHTML = `
+                <span class="tx-paging-text">Showing ${loaded.toLocaleString()} of ${total.toLocaleString()} transfers</span>
+                <button class="btn btn-secondary" id="load-more-tx-btn" onclick="app.loadMoreTransactions()">Load more</button>
+                <button class="btn-text" onclick="app.loadEntireHistory()">Load entire history</button>
+            `;
+        } else {
+            container.innerHTML = `
+                <span class="tx-paging-text">All ${loaded.toLocaleString()} transfers loaded</span>
+            `;
+        }
+    }
+
+    /**
+     * Show progress of a full history load
+     */
+    updateHistoryProgress(loaded, total) {
+        const container = document.getElementById('tx-paging');
+        const percent = total > 0 ? Math.min(100, (loaded / total) * 100) : 0;
+
+        container.innerHTML = `
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${percent.toFixed(1)}%;"></div>
+            </div>
+            <span class="tx-paging-text">Loaded ${loaded.toLocaleString()} of ${total.toLocaleString()} transfers</span>
+            <button class="btn-text" onclick="app.cancelHistoryLoad()">Cancel</button>
+        `;
+    }
+
+    /**
+     * Sum asset holdings across wallets
+     */
+    mergeAssets(walletData) {
+        const totals = new Map();
+
+        // Assets are identified by issuer and name; different issuers can reuse a name
+        walletData.forEach(({ assets }) => {
+            assets.forEach(asset => {
+                const key = `${asset.issuer}:${asset.name}`;
+                const total = totals.get(key) || {
+                    name: asset.name,
+                    issuer: asset.issuer,
+                    amount: 0,
+                    possessedUnits: 0,
+                    lockedUnits: 0,
+                    transferableUnits: 0,
+                    positions: new Map()
+                };
+
+                total.amount += asset.amount;
+                total.possessedUnits += asset.possessedUnits || 0;
+                total.lockedUnits += asset.lockedUnits || 0;
+                total.transferableUnits += asset.transferableUnits || 0;
+
+                // Positions are combined per managing contract
+                (asset.positions || []).forEach(position => {
+                    const merged = total.positions.get(position.contractIndex) || { ...position, owned: 0, possessed: 0, locked: 0, transferable: 0 };
+                    merged.owned += position.owned;
+                    merged.possessed += position.possessed;
+                    merged.locked += position.locked;
+                    merged.transferable += position.transferable;
+                    total.positions.set(position.contractIndex, merged);
+                });
+
+                totals.set(key, total);
+            });
+        });
+
+        return Array.from(totals.values()).map(asset => ({ ...asset, positions: Array.from(asset.positions.values()) }));
+    }
+
+    /**
+     * Attach QX market prices and QU values to assets
+     */
+    async priceAssets(assets) {
+        await Promise.all(assets.filter(asset => asset.issuer).map(async asset => {
+            try {
+                asset.market = await qubicAPI.getAssetMarket(asset.name, asset.issuer);
+                if (asset.market.price !== null) {
+                    asset.valueQu = Math.round(asset.amount * asset.market.price);
+                }
+            } catch (error) {
+                console.error(`Error pricing ${asset.name}:`, error);
+            }
+        }));
+    }
+
+    /**
+     * Merge transactions of several wallets, de-duplicating transfers between them
+     */
+    mergeTransactions(transactions, wallets) {
+        const ownWallets = new Set(wallets);
+        const merged = new Map();
+
+        transactions.forEach(tx => {
+            if (merged.has(tx.id)) return;
+
+            let type;
+            if (ownWallets.has(tx.sourceId) && ownWallets.has(tx.destId)) {
+                type = 'internal';
+            } else if (ownWallets.has(tx.destId)) {
+                type = 'incoming';
+            } else {
+                type = 'outgoing';
+            }
+
+            merged.set(tx.id, { ...tx, type });
+        });
+
+        return Array.from(merged.values()).sort((a, b) => b.tick - a.tick);
+    }
+
+    /**
+     * Update portfolio display
+     */
+    updatePortfolioDisplay(data) {
+        // Update balance
+        const balanceEl = document.getElementById('qu-balance');
+        balanceEl.innerHTML = `${(data.balance || 0).toLocaleString()} <span style="font-size: 16px;">QU</span>`;
+        balanceEl.classList.remove('skeleton');
+
+        const fiatEl = document.getElementById('qu-balance-fiat');
+        fiatEl.textContent = this.formatFiat(data.balance || 0);
+        fiatEl.classList.toggle('stale', Boolean(this.priceQuote && this.priceQuote.stale));
+
+        // Update asset count
+        const assetCountEl = document.getElementById('asset-count');
+        assetCountEl.textContent = data.assets.length;
+        assetCountEl.classList.remove('skeleton');
+
+        const pricedAssets = data.assets.filter(asset => asset.valueQu !== undefined);
+        const assetValue = pricedAssets.reduce((sum, asset) => sum + asset.valueQu, 0);
+        document.getElementById('asset-value').textContent = pricedAssets.length > 0
+            ? `Worth ${assetValue.toLocaleString()} QU ${this.formatFiat(assetValue)}`
+            : '';
+
+        this.displayWalletBreakdown(data);
+
+        // Update assets grid
+        const assetsGrid = document.getElementById('assets-grid');
+        if (data.assets.length === 0) {
+            assetsGrid.innerHTML = '<div class="empty-state">No assets found</div>';
+        } else {
+            assetsGrid.innerHTML = data.assets.map(asset => `
+                <div class="asset-item" data-asset-name="${this.escapeHtml(asset.name)}" data-asset-issuer="${this.escapeHtml(asset.issuer)}">
+                    <div class="asset-header">
+                        <span class="asset-name">${this.escapeHtml(asset.name)}</span>
+                        <span class="asset-amount">${asset.amount.toLocaleString()}</span>
+                    </div>
+                    ${asset.valueQu !== undefined ? `
+                        <div class="asset-value">${asset.valueQu.toLocaleString()} QU ${this.formatFiat(asset.valueQu)}</div>
+                    ` : ''}
+                    ${asset.market ? `
+                        <div class="asset-market">${this.formatMarket(asset.market)}</div>
+                    ` : ''}
+                    ${(asset.positions || []).length > 0 ? `
+                        <div class="asset-positions">
+                            Managed by ${asset.positions.map(position => position.contract).join(', ')}
+                            · ${(asset.transferableUnits || 0).toLocaleString()} transferable
+                            ${asset.lockedUnits > 0 ? `· <span class="asset-locked">${asset.lockedUnits.toLocaleString()} locked</span>` : ''}
+                        </div>
+                    ` : ''}
+                    <div style="font-size: 12px; color: var(--gray-500);">Click for details</div>
+                </div>
+            `).join('');
+
+            // Names come from the on-chain registry, so they are passed through data attributes, not inline code
+            assetsGrid.querySelectorAll('.asset-item').forEach(item => {
+                item.addEventListener('click', () => this.showAssetDetails(item.dataset.assetName, item.dataset.assetIssuer));
+            });
+        }
+    }
+
+    /**
+     * Display per-wallet breakdown of a combined portfolio
+     */
+    displayWalletBreakdown(data) {
+        const container = document.getElementById('wallet-breakdown');
+        const wallets = data.wallets || [];
+
+        if (wallets.length < 2) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const total = data.balance || 0;
+
+        container.innerHTML = `
+            <h3>Wallet Breakdown</h3>
+            <div style="overflow-x: auto; margin-bottom: 30px;">
+                <table class="transaction-table">
+                    <thead>
+                        <tr>
+                            <th>Wallet</th>
+                            <th>Balance (QU)</th>
+                            <th>Share</th>
+                            <th>Assets</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${wallets.map(wallet => `
+                            <tr class="wallet-breakdown-row" onclick="app.selectWallet('${wallet.address}')">
+                                <td style="font-family: monospace; font-size: 11px;">${this.escapeHtml(this.getWalletName(wallet.address))}</td>
+                                <td style="font-weight: bold;">${wallet.balance.toLocaleString()} <span class="fiat-value">${this.formatFiat(wallet.balance)}</span></td>
+                                <td>${total > 0 ? ((wallet.balance / total) * 100).toFixed(1) : '0.0'}%</td>
+                                <td>${wallet.assets.length}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Display transactions
+     */
+    displayTransactions(transactions) {
+        const container = document.getElementById('transactions-container');
+        
+        if (transactions.length === 0) {
+            container.innerHTML = '<div class="empty-state">No transactions found</div>';
+            return;
+        }
 
         const stats = this.calculateTransactionStats(transactions);
         
@@ -388,6 +1550,12 @@ class QubicPortfolioApp {
                     <div style="font-size: 18px; font-weight: bold; color: var(--warning);">${stats.outgoing}</div>
                     <div style="font-size: 12px; color: var(--gray-500);">Outgoing</div>
                 </div>
+                ${stats.internal > 0 ? `
+                <div class="stat-card" style="background: var(--gray-50); padding: 15px; border-radius: 8px; text-align: center;">
+                    <div style="font-size: 18px; font-weight: bold; color: var(--info);">${stats.internal}</div>
+                    <div style="font-size: 12px; color: var(--gray-500);">Between Own Wallets</div>
+                </div>
+                ` : ''}
                 <div class="stat-card" style="background: var(--gray-50); padding: 15px; border-radius: 8px; text-align: center;">
                     <div style="font-size: 18px; font-weight: bold; color: var(--primary);">${stats.totalReceived.toLocaleString()}</div>
                     <div style="font-size: 12px; color: var(--gray-500);">Total Received (QU)</div>
@@ -405,27 +1573,23 @@ class QubicPortfolioApp {
                             <th>Type</th>
                             <th>Amount (QU)</th>
                             <th>Counterparty</th>
+                            <th>Date</th>
                             <th>Tick</th>
                             <th>Status</th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${transactions.map(tx => `
-                            <tr>
-                                <td class="${tx.type === 'incoming' ? 'tx-incoming' : 'tx-outgoing'}">
-                                    <strong>${tx.type === 'incoming' ? '↓ IN' : '↑ OUT'}</strong>
-                                </td>
-                                <td style="font-weight: bold;">
-                                    ${tx.type === 'incoming' ? '+' : '-'}${tx.amount.toLocaleString()}
-                                </td>
-                                <td style="font-family: monospace; font-size: 11px;">
-                                    ${this.truncateAddress(tx.type === 'incoming' ? tx.sourceId : tx.destId)}
-                                </td>
-                                <td>${tx.tick.toLocaleString()}</td>
-                                <td>
-                                    <span style="display: inline-block; width: 8px; height: 8px; border-radius: 50%; background: ${tx.moneyFlew ? 'var(--success)' : 'var(--danger)'};"></span>
-                                </td>
-                            </tr>
+                        ${this.groupTransactions(transactions).map(group => `
+                            ${group.label ? `
+                                <tr class="tx-group-row">
+                                    <td colspan="6">
+                                        <strong>${group.label}</strong>
+                                        · ${group.transactions.length} transfers
+                                        · net ${group.net >= 0 ? '+' : ''}${group.net.toLocaleString()} QU
+                                    </td>
+                                </tr>
+                            ` : ''}
+                            ${group.transactions.map(tx => this.renderTransactionRow(tx)).join('')}
                         `).join('')}
                     </tbody>
                 </table>
@@ -433,6 +1597,314 @@ class QubicPortfolioApp {
         `;
     }
 
+    /**
+     * Render a transaction table row
+     */
+    renderTransactionRow(tx) {
+        let typeCell;
+        let amountCell;
+        let counterpartyCell;
+
+        if (tx.type === 'internal') {
+            typeCell = '<td class="tx-internal"><strong>⇄ MOVE</strong></td>';
+            amountCell = tx.amount.toLocaleString();
+            counterpartyCell = `${this.formatAddress(tx.sourceId)} → ${this.formatAddress(tx.destId)}`;
+        } else {
+            typeCell = `
+                <td class="${tx.type === 'incoming' ? 'tx-incoming' : 'tx-outgoing'}">
+                    <strong>${tx.type === 'incoming' ? '↓ IN' : '↑ OUT'}</strong>
+                </td>
+            `;
+            amountCell = `${tx.type === 'incoming' ? '+' : '-'}${tx.amount.toLocaleString()}`;
+            const counterparty = tx.type === 'incoming' ? tx.sourceId : tx.destId;
+            counterpartyCell = `
+                ${this.formatAddress(counterparty)}
+                <button class="icon-btn" onclick="event.stopPropagation(); app.nameAddress('${counterparty}')" title="Name this address">✎</button>
+            `;
+        }
+
+        return `
+            <tr${this.getTransactionRowAttributes(tx)}>
+                ${typeCell}
+                <td style="font-weight: bold;">
+                    ${amountCell}
+                </td>
+                <td style="font-family: monospace; font-size: 11px;">
+                    ${counterpartyCell}
+                </td>
+                <td style="font-size: 12px;" title="${tx.timeEstimated ? 'Estimated from nearby ticks' : ''}">
+                    ${this.formatTransactionDate(tx)}
+                </td>
+                <td>${tx.tick.toLocaleString()}</td>
+                <td>
+                    <span style="display: inline-block; width: 8px; height: 8px; border-radius: 50%; background: ${tx.moneyFlew ? 'var(--success)' : 'var(--danger)'};"></span>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Split transactions into consecutive day/week/epoch groups
+     */
+    groupTransactions(transactions) {
+        if (this.groupBy === 'none') {
+            return [{ label: null, transactions }];
+        }
+
+        const groups = [];
+        transactions.forEach(tx => {
+            const period = chartManager.getPeriod(tx.timestamp, this.groupBy);
+            let group = groups[groups.length - 1];
+
+            if (!group || group.key !== period.key) {
+                group = { key: period.key, label: period.label, transactions: [], net: 0 };
+                groups.push(group);
+            }
+
+            group.transactions.push(tx);
+            if (tx.moneyFlew && tx.type !== 'internal') {
+                group.net += tx.type === 'incoming' ? tx.amount : -tx.amount;
+            }
+        });
+
+        return groups;
+    }
+
+    /**
+     * Format a transaction's date ("~" marks an estimate)
+     */
+    formatTransactionDate(tx) {
+        if (!tx.timestamp) return '-';
+        return `${tx.timeEstimated ? '~' : ''}${new Date(tx.timestamp).toLocaleString()}`;
+    }
+
+    /**
+     * Attributes that open a table row's transaction in the detail drawer
+     */
+    getTransactionRowAttributes(tx) {
+        return qubicAPI.isTransactionId(tx.id)
+            ? ` class="tx-row" onclick="app.openTransaction('${tx.id}')" title="Show details"`
+            : '';
+    }
+
+    /**
+     * Open the detail drawer for a transaction
+     * Shows the loaded record with a note when the full transaction cannot be fetched
+     */
+    async openTransaction(id) {
+        if (!qubicAPI.isTransactionId(id)) {
+            this.showToast('Invalid transaction id', 'error');
+            return;
+        }
+
+        const body = document.getElementById('tx-drawer-body');
+        this.drawerTransactionId = id;
+        this.updateTransactionUrl(id);
+
+        body.innerHTML = '<div class="loading">Loading transaction...</div>';
+        document.getElementById('tx-drawer').classList.add('open');
+        document.getElementById('tx-drawer').setAttribute('aria-hidden', 'false');
+        document.getElementById('tx-drawer-backdrop').classList.add('show');
+
+        try {
+            const tx = await qubicAPI.getTransaction(id);
+            if (this.drawerTransactionId !== id) return;
+
+            body.innerHTML = this.renderTransactionDetail(tx);
+        } catch (error) {
+            if (this.drawerTransactionId !== id) return;
+
+            const message = error.type === 'not_found'
+                ? 'This transaction is not known to the network. Check the id, or wait until its tick has been processed.'
+                : this.getErrorMessage(error, 'Failed to load transaction');
+            const stored = this.transactions.find(tx => tx.id === id);
+
+            body.innerHTML = stored
+                ? this.renderTransactionDetail({ ...stored, inputSize: stored.inputHex.length / 2 }, `${message} Showing the loaded record instead.`)
+                : `<div class="empty-state"><p>${this.escapeHtml(message)}</p></div>`;
+        }
+    }
+
+    /**
+     * Render the contents of the transaction drawer
+     */
+    renderTransactionDetail(tx, note = null) {
+        const decoded = transactionDecoder.decode(tx);
+        const contractIndex = transactionDecoder.getContractIndex(tx.destId);
+
+        const field = (label, value) => `
+            <div class="drawer-field">
+                <div class="drawer-label">${label}</div>
+                <div class="drawer-value">${value}</div>
+            </div>
+        `;
+        const identity = (address) => {
+            const name = addressBook.getName(address);
+            return `
+                <div>
+                    ${name ? `<div class="address-name">${this.escapeHtml(name)}</div>` : ''}
+                    <div class="drawer-mono">${this.escapeHtml(address)}</div>
+                </div>
+                ${address !== 'Unknown' ? `<button class="icon-btn" onclick="app.closeTransaction(); app.nameAddress('${address}')" title="Name this address">✎</button>` : ''}
+            `;
+        };
+        const formatField = (value) => {
+            if (typeof value === 'string' && /^[A-Z]{60}$/.test(value)) return identity(value);
+            if (Array.isArray(value)) return this.escapeHtml(value.join(', '));
+            return typeof value === 'number' ? value.toLocaleString() : this.escapeHtml(value);
+        };
+
+        let status = 'Unknown';
+        if (tx.moneyFlew === true) status = '<span class="tx-incoming">Executed</span>';
+        if (tx.moneyFlew === false) status = '<span class="tx-outgoing">Not executed</span>';
+
+        let inputType = String(tx.inputType);
+        if (decoded) {
+            inputType += ` · ${decoded.contract} ${decoded.procedure}`;
+        } else if (contractIndex !== null) {
+            inputType += ` · ${qubicAPI.getContractName(contractIndex)} procedure`;
+        } else if (tx.inputType === 0) {
+            inputType += ' · Plain transfer';
+        }
+
+        return `
+            ${note ? `<div class="drawer-note">${this.escapeHtml(note)}</div>` : ''}
+            ${field('Transaction ID', `
+                <span class="drawer-mono">${tx.id}</span>
+                <button class="icon-btn" onclick="app.copyTransactionId('${tx.id}')" title="Copy id">⧉</button>
+            `)}
+            ${field('From', identity(tx.sourceId))}
+            ${field('To', identity(tx.destId))}
+            ${field('Amount', `<strong>${tx.amount.toLocaleString()} QU</strong> <span class="fiat-value">${this.formatFiat(tx.amount)}</span>`)}
+            ${field('Tick', tx.tick.toLocaleString())}
+            ${field('Time', `${this.formatTransactionDate(tx)}${tx.timeEstimated ? ' (estimated from nearby ticks)' : ''}`)}
+            ${field('Status', status)}
+            ${field('Input type', inputType)}
+            ${field('Input size', `${tx.inputSize.toLocaleString()} bytes`)}
+            ${decoded ? `
+                <div class="drawer-field">
+                    <div class="drawer-label">Decoded input</div>
+                    <table class="transaction-table">
+                        <tbody>
+                            ${Object.entries(decoded.fields).map(([name, value]) => `
+                                <tr>
+                                    <td>${name}</td>
+                                    <td><div class="drawer-value">${formatField(value)}</div></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+            ${tx.inputHex ? field('Input data', `<span class="drawer-mono">${this.escapeHtml(tx.inputHex)}</span>`) : ''}
+            ${field('Link', `
+                <a class="drawer-mono" href="${this.escapeHtml(this.getTransactionLink(tx.id))}">${this.escapeHtml(this.getTransactionLink(tx.id))}</a>
+                <button class="icon-btn" onclick="app.copyTransactionLink('${tx.id}')" title="Copy link">⧉</button>
+            `)}
+        `;
+    }
+
+    /**
+     * Close the transaction drawer
+     */
+    closeTransaction() {
+        this.drawerTransactionId = null;
+        this.updateTransactionUrl(null);
+
+        document.getElementById('tx-drawer').classList.remove('open');
+        document.getElementById('tx-drawer').setAttribute('aria-hidden', 'true');
+        document.getElementById('tx-drawer-backdrop').classList.remove('show');
+    }
+
+    /**
+     * Shareable link that opens a transaction (keeps the page's other parameters)
+     */
+    getTransactionLink(id) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('tx', id);
+        url.hash = '';
+        return url.toString();
+    }
+
+    /**
+     * Keep the address bar in sync with the open transaction, so it can be bookmarked
+     */
+    updateTransactionUrl(id) {
+        const url = new URL(window.location.href);
+
+        if (id) {
+            url.searchParams.set('tx', id);
+        } else {
+            url.searchParams.delete('tx');
+        }
+
+        window.history.replaceState(null, '', url.toString());
+    }
+
+    /**
+     * Copy a transaction id
+     */
+    async copyTransactionId(id) {
+        try {
+            await navigator.clipboard.writeText(id);
+            this.showToast('Transaction id copied!', 'success');
+        } catch (error) {
+            this.showToast('Failed to copy transaction id', 'error');
+        }
+    }
+
+    /**
+     * Copy the link to a transaction
+     */
+    async copyTransactionLink(id) {
+        try {
+            await navigator.clipboard.writeText(this.getTransactionLink(id));
+            this.showToast('Link copied!', 'success');
+        } catch (error) {
+            this.showToast('Failed to copy link', 'error');
+        }
+    }
+
+    /**
+     * Export transactions matching the current filter
+     */
+    async exportTransactions() {
+        const format = document.getElementById('export-format').value;
+        const scope = document.getElementById('export-scope').value;
+
+        try {
+            let transactions = this.transactions;
+            let scopeName = this.aggregateView ? 'all-wallets' : this.currentWallet;
+
+            // All saved wallets, as far as they are synced into the ledger
+            if (scope === 'saved') {
+                const wallets = storage.getWallets().map(w => w.address);
+                const stored = await Promise.all(wallets.map(wallet => transactionLedger.getTransactions(wallet)));
+                await this.resolveTransactionTimes(stored.flat());
+                transactions = this.mergeTransactions(stored.flat(), wallets);
+                scopeName = 'all-wallets';
+            }
+
+            const filter = document.getElementById('tx-filter').value;
+            const filtered = filter === 'all' ? transactions : transactions.filter(tx => tx.type === filter);
+
+            if (filtered.length === 0) {
+                this.showToast('No transactions to export', 'error');
+                return;
+            }
+
+            const { extension, mimeType } = transactionExporter.FORMATS[format];
+            const date = new Date().toISOString().substring(0, 10);
+            const filename = `qubic-transactions-${scopeName.substring(0, 12).toLowerCase()}-${format}-${date}.${extension}`;
+
+            transactionExporter.download(transactionExporter.export(filtered, format, this.priceQuote), filename, mimeType);
+            this.showToast(`Exported ${filtered.length} transactions`, 'success');
+        } catch (error) {
+            console.error('Error exporting transactions:', error);
+            this.showToast('Failed to export transactions', 'error');
+        }
+    }
+
     /**
      * Calculate transaction statistics
      */
@@ -440,6 +1912,7 @@ class QubicPortfolioApp {
         return {
             incoming: transactions.filter(tx => tx.type === 'incoming').length,
             outgoing: transactions.filter(tx => tx.type === 'outgoing').length,
+            internal: transactions.filter(tx => tx.type === 'internal').length,
             totalReceived: transactions
                 .filter(tx => tx.type === 'incoming')
                 .reduce((sum, tx) => sum + tx.amount, 0),
@@ -450,94 +1923,432 @@ class QubicPortfolioApp {
     }
 
     /**
-     * Filter transactions
+     * Filter transactions
+     */
+    filterTransactions(filter) {
+        if (!this.transactions.length) return;
+
+        this.displayTransactions(this.getFilteredTransactions(filter));
+    }
+
+    /**
+     * Get transactions matching a type filter (defaults to the selected one)
+     */
+    getFilteredTransactions(filter = document.getElementById('tx-filter').value) {
+        if (filter === 'all') {
+            return this.transactions;
+        }
+        return this.transactions.filter(tx => tx.type === filter);
+    }
+
+    /**
+     * Update analytics
+     */
+    updateAnalytics(transactions) {
+        const stats = this.calculateTransactionStats(transactions);
+        
+        document.getElementById('total-transactions').textContent = transactions.length;
+        document.getElementById('incoming-count').textContent = stats.incoming;
+        document.getElementById('outgoing-count').textContent = stats.outgoing;
+
+        // Create charts
+        const chartContainer = document.getElementById('portfolio-chart');
+
+        // The balance timeline is only replayed over ticks whose transfers are loaded for every wallet
+        const completeFromTick = balanceHistory.getCompleteFromTick(
+            this.getActiveWallets().map(wallet => this.ledgerStates.get(wallet))
+        );
+        
+        if (this.assets.length > 0) {
+            chartContainer.innerHTML = `
+                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; height: 300px;">
+                    <div>
+                        <h4 style="margin-bottom: 15px;">Transaction Flow</h4>
+                        <canvas id="flowChart" style="max-height: 250px;"></canvas>
+                    </div>
+                    <div>
+                        <div class="section-header" style="margin: 0 0 15px;">
+                            <h4>Asset Distribution</h4>
+                            <select class="filter-select" onchange="app.setAssetDistributionMode(this.value)">
+                                <option value="value" ${this.assetDistributionMode === 'value' ? 'selected' : ''}>By value</option>
+                                <option value="units" ${this.assetDistributionMode === 'units' ? 'selected' : ''}>By units</option>
+                            </select>
+                        </div>
+                        <canvas id="assetDistributionChart" style="max-height: 250px;"></canvas>
+                    </div>
+                </div>
+                <div style="margin-top: 40px;">
+                    <h4 style="margin-bottom: 15px;">Balance Timeline</h4>
+                    <div style="height: 300px;">
+                        <canvas id="balanceChart"></canvas>
+                    </div>
+                    ${completeFromTick !== null ? `
+                        <p class="chart-note">
+                            ${Number.isFinite(completeFromTick)
+                                ? `Balances before tick ${completeFromTick.toLocaleString()} are not shown: older transfers are not loaded for every wallet.`
+                                : 'Balances are not shown until transfers are loaded for every wallet.'}
+                            <button class="btn-text" onclick="app.loadEntireHistory()">Load entire history</button>
+                        </p>
+                    ` : ''}
+                </div>
+                <div style="margin-top: 40px;">
+                    <h4 style="margin-bottom: 15px;">Top Counterparties</h4>
+                    <div style="height: 300px;">
+                        <canvas id="counterpartyChart"></canvas>
+                    </div>
+                </div>
+            `;
+
+            // Create charts after DOM update
+            setTimeout(() => {
+                chartManager.createFlowChart(transactions);
+                chartManager.createAssetDistributionChart(this.assets, this.assetDistributionMode);
+                chartManager.createBalanceChart(
+                    transactions,
+                    this.portfolioData ? this.portfolioData.balance : 0,
+                    this.groupBy,
+                    this.getActiveWallets(),
+                    completeFromTick
+                );
+                chartManager.createCounterpartyChart(
+                    transactions,
+                    (address) => addressBook.getName(address) || this.truncateAddress(address)
+                );
+            }, 100);
+        } else {
+            chartContainer.innerHTML = '<div class="empty-state">No data to analyze</div>';
+        }
+    }
+
+    /**
+     * Switch the asset distribution chart between QU value and raw units
+     */
+    setAssetDistributionMode(mode) {
+        this.assetDistributionMode = mode;
+        storage.saveSettings({ ...storage.getSettings(), assetDistributionMode: mode });
+        chartManager.createAssetDistributionChart(this.assets, mode);
+    }
+
+    /**
+     * Describe QX bid, ask and last trade prices
+     */
+    formatMarket({ bid, ask, last }) {
+        const price = (value) => value === null ? '-' : `${value.toLocaleString()} QU`;
+        return `Bid ${price(bid)} · Ask ${price(ask)} · Last ${price(last)}`;
+    }
+
+    /**
+     * Plot recorded balance and asset snapshots for the selected range
+     */
+    updatePerformanceHistory() {
+        const container = document.getElementById('history-chart');
+        const snapshots = snapshotStore.getSnapshots(this.getViewKey(), this.historyRange);
+
+        if (snapshots.length < 2) {
+            chartManager.destroyChart('comparisonChart');
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Not enough history yet. A snapshot is recorded every time portfolio data loads.</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Plot the largest current holdings
+        const latest = snapshots[snapshots.length - 1].assets;
+        const selectedAssets = Object.keys(latest)
+            .sort((a, b) => latest[b] - latest[a])
+            .slice(0, 5);
+
+        if (!document.getElementById('comparisonChart')) {
+            container.innerHTML = `
+                <div style="height: 300px;">
+                    <canvas id="comparisonChart"></canvas>
+                </div>
+            `;
+        }
+
+        chartManager.createComparisonChart(snapshots, selectedAssets);
+    }
+
+    /**
+     * Read a price series from a user-supplied CSV file
+     */
+    async loadTaxPriceFile(file) {
+        if (!file) return;
+
+        try {
+            const prices = priceService.parseCSV(await file.text());
+
+            if (prices.length === 0) {
+                this.showToast('No prices found in file (expected date,price rows)', 'error');
+                return;
+            }
+
+            this.taxPrices = prices;
+            this.showToast(`Loaded ${prices.length} prices`, 'success');
+        } catch (error) {
+            console.error('Error reading price file:', error);
+            this.showToast('Failed to read price file', 'error');
+        }
+    }
+
+    /**
+     * Build the tax report for all saved wallets
+     */
+    async generateTaxReport() {
+        const method = document.getElementById('tax-method').value;
+        const incomingAs = document.getElementById('tax-incoming').value;
+        const priceUrl = document.getElementById('tax-price-url').value.trim();
+        const container = document.getElementById('tax-report');
+
+        storage.saveSettings({ ...storage.getSettings(), taxMethod: method, taxIncoming: incomingAs, taxPriceUrl: priceUrl });
+
+        try {
+            // A configured price source takes precedence over an uploaded file
+            if (priceUrl) {
+                const response = await fetch(priceUrl);
+                if (!response.ok) {
+                    throw new Error(`Price source returned HTTP ${response.status}`);
+                }
+                this.taxPrices = priceService.parseJSON(await response.json());
+            }
+
+            if (this.taxPrices.length === 0) {
+                this.showToast('Load a price CSV or set a price source first', 'error');
+                return;
+            }
+
+            container.innerHTML = '<div class="loading">Calculating cost basis...</div>';
+
+            // Taxes apply to all holdings, so every saved wallet is included and moves between them net out
+            const wallets = storage.getWallets().map(w => w.address);
+            const [stored, states, balances] = await Promise.all([
+                Promise.all(wallets.map(wallet => transactionLedger.getTransactions(wallet))),
+                Promise.all(wallets.map(wallet => transactionLedger.getSyncState(wallet))),
+                Promise.all(wallets.map(wallet => qubicAPI.getBalance(wallet)))
+            ]);
+
+            await this.resolveTransactionTimes(stored.flat());
+            const transactions = this.mergeTransactions(stored.flat(), wallets);
+            const currentBalance = balances.reduce((sum, balance) => sum + balance, 0);
+            const { openingBalance } = balanceHistory.reconstruct(transactions, currentBalance, wallets);
+
+            const report = taxReport.generate(transactions, this.taxPrices, { method, incomingAs, openingBalance });
+
+            const incomplete = wallets.filter((wallet, i) => !states[i] || !states[i].historyComplete);
+            if (incomplete.length > 0) {
+                report.warnings.unshift(`${incomplete.length} wallet(s) do not have their entire history loaded; load it from the Transactions tab for accurate results`);
+            }
+
+            this.taxReportData = report;
+            this.displayTaxReport(report);
+        } catch (error) {
+            console.error('Error generating tax report:', error);
+            container.innerHTML = '<div class="empty-state">Failed to generate tax report</div>';
+            this.showToast(`Failed to generate tax report: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Render yearly tax figures and warnings
+     */
+    displayTaxReport(report) {
+        const container = document.getElementById('tax-report');
+        const money = (value) => value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+        document.getElementById('tax-download-btn').disabled = !report.years.some(year => year.disposals.length > 0);
+
+        if (report.years.length === 0) {
+            container.innerHTML = '<div class="empty-state">No taxable transfers found</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div style="overflow-x: auto;">
+                <table class="transaction-table">
+                    <thead>
+                        <tr>
+                            <th>Year</th>
+                            <th>Income</th>
+                            <th>Proceeds</th>
+                            <th>Cost Basis</th>
+                            <th>Realized Gain</th>
+                            <th>Closing QU</th>
+                            <th>Closing Cost Basis</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.years.map(year => `
+                            <tr>
+                                <td style="font-weight: bold;">${year.year}</td>
+                                <td>${money(year.income)}</td>
+                                <td>${money(year.proceeds)}</td>
+                                <td>${money(year.costBasis)}</td>
+                                <td class="${year.realizedGain >= 0 ? 'tx-incoming' : 'tx-outgoing'}">${money(year.realizedGain)}</td>
+                                <td>${year.closingUnits.toLocaleString()}</td>
+                                <td>${money(year.closingCostBasis)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${report.warnings.length > 0 ? `
+                <ul class="tax-warnings">
+                    ${report.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Download the disposals of the last generated report
      */
-    filterTransactions(filter) {
-        if (!this.transactions.length) return;
-
-        let filtered = this.transactions;
-        if (filter !== 'all') {
-            filtered = this.transactions.filter(tx => tx.type === filter);
-        }
+    downloadTaxReport() {
+        if (!this.taxReportData) return;
 
-        this.displayTransactions(filtered);
+        const date = new Date().toISOString().substring(0, 10);
+        transactionExporter.download(
+            taxReport.toCSV(this.taxReportData),
+            `qubic-tax-report-${this.taxReportData.method}-${date}.csv`,
+            'text/csv'
+        );
     }
 
     /**
-     * Update analytics
+     * Show asset details
      */
-    updateAnalytics(transactions) {
-        const stats = this.calculateTransactionStats(transactions);
-        
-        document.getElementById('total-transactions').textContent = transactions.length;
-        document.getElementById('incoming-count').textContent = stats.incoming;
-        document.getElementById('outgoing-count').textContent = stats.outgoing;
+    async showAssetDetails(assetName, issuer) {
+        this.switchTab('assets');
 
-        // Create charts
-        const chartContainer = document.getElementById('portfolio-chart');
-        
-        if (this.assets.length > 0) {
-            chartContainer.innerHTML = `
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 30px; height: 300px;">
-                    <div>
-                        <h4 style="margin-bottom: 15px;">Transaction Flow</h4>
-                        <canvas id="flowChart" style="max-height: 250px;"></canvas>
-                    </div>
-                    <div>
-                        <h4 style="margin-bottom: 15px;">Asset Distribution</h4>
-                        <canvas id="assetDistributionChart" style="max-height: 250px;"></canvas>
-                    </div>
-                </div>
-                <div style="margin-top: 40px;">
-                    <h4 style="margin-bottom: 15px;">Balance Timeline</h4>
-                    <div style="height: 300px;">
-                        <canvas id="balanceChart"></canvas>
-                    </div>
-                </div>
-            `;
+        const key = assetRegistry.getKey(assetName, issuer);
+        this.selectedAsset = key;
 
-            // Create charts after DOM update
-            setTimeout(() => {
-                chartManager.createFlowChart(transactions);
-                chartManager.createAssetDistributionChart(this.assets);
-                chartManager.createBalanceChart(transactions, this.portfolioData.balance);
-            }, 100);
-        } else {
-            chartContainer.innerHTML = '<div class="empty-state">No data to analyze</div>';
-        }
+        // Render cached metadata right away, then refresh it from the registry
+        this.renderAssetDetails(assetRegistry.getCached(assetName, issuer));
+
+        const assetInfo = await assetRegistry.getAsset(assetName, issuer);
+
+        // The user may have opened another asset in the meantime
+        if (this.selectedAsset !== key) return;
+        this.renderAssetDetails(assetInfo);
     }
 
     /**
-     * Show asset details
+     * Render the Asset Details tab
      */
-    showAssetDetails(assetName, amount) {
-        this.switchTab('assets');
-        
+    renderAssetDetails(assetInfo) {
         const detailsContainer = document.getElementById('asset-details');
-        const assetInfo = this.getAssetInfo(assetName);
-        
+        const holding = this.assets.find(asset => asset.name === assetInfo.name && asset.issuer === assetInfo.issuer);
+        const amount = holding ? holding.amount : 0;
+        const format = (units) => assetRegistry.formatAmount(units, assetInfo.decimals);
+        const share = assetInfo.supply ? (amount / assetInfo.supply) * 100 : null;
+
         detailsContainer.innerHTML = `
             <div style="max-width: 800px;">
                 <div style="display: flex; align-items: center; gap: 20px; margin-bottom: 30px;">
-                    <div style="width: 60px; height: 60px; background: ${assetInfo.color}; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 18px;">
-                        ${assetName.substring(0, 2)}
+                    <div style="width: 60px; height: 60px; background: ${this.escapeHtml(assetInfo.color)}; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 18px;">
+                        ${this.escapeHtml(assetInfo.name.substring(0, 2))}
                     </div>
                     <div>
-                        <h2 style="margin: 0; color: var(--gray-700);">${assetName}</h2>
-                        <p style="margin: 5px 0 0 0; color: var(--gray-500);">${assetInfo.description}</p>
+                        <h2 style="margin: 0; color: var(--gray-700);">${this.escapeHtml(assetInfo.name)}</h2>
+                        <p style="margin: 5px 0 0 0; color: var(--gray-500);">${this.escapeHtml(assetInfo.description)}</p>
                     </div>
                 </div>
                 
                 <div class="analytics-grid">
                     <div class="analytics-card">
-                        <div class="analytics-value">${amount.toLocaleString()}</div>
+                        <div class="analytics-value">${format(amount)}</div>
                         <div class="analytics-label">Your Holdings</div>
                     </div>
                     <div class="analytics-card">
-                        <div class="analytics-value">${assetInfo.type}</div>
+                        <div class="analytics-value">${assetInfo.supply === null ? '-' : format(assetInfo.supply)}</div>
+                        <div class="analytics-label">Total Supply</div>
+                    </div>
+                    <div class="analytics-card">
+                        <div class="analytics-value">${share === null ? '-' : `${share < 0.01 && share > 0 ? '<0.01' : share.toFixed(2)}%`}</div>
+                        <div class="analytics-label">Your Share of Supply</div>
+                    </div>
+                    <div class="analytics-card">
+                        <div class="analytics-value">${this.escapeHtml(assetInfo.type)}</div>
                         <div class="analytics-label">Asset Type</div>
                     </div>
                 </div>
+
+                <table class="transaction-table asset-facts">
+                    <tbody>
+                        <tr>
+                            <th>Issuer</th>
+                            <td style="font-family: monospace; font-size: 12px; word-break: break-all;">${assetInfo.issuer || '-'}</td>
+                        </tr>
+                        <tr>
+                            <th>Decimal Places</th>
+                            <td>${assetInfo.decimals}</td>
+                        </tr>
+                        <tr>
+                            <th>Unit of Measurement</th>
+                            <td>${assetRegistry.formatUnit(assetInfo.unitOfMeasurement)}</td>
+                        </tr>
+                        ${holding && holding.valueQu !== undefined ? `
+                            <tr>
+                                <th>Value</th>
+                                <td>${holding.valueQu.toLocaleString()} QU ${this.formatFiat(holding.valueQu)}</td>
+                            </tr>
+                        ` : ''}
+                        ${assetInfo.known ? '' : `
+                            <tr>
+                                <th>Registry</th>
+                                <td>Issuance not found in the registry; amounts are shown unscaled</td>
+                            </tr>
+                        `}
+                    </tbody>
+                </table>
+
+                ${holding && (holding.positions || []).length > 0 ? `
+                    <h3 style="margin-top: 30px;">Positions by Managing Contract</h3>
+                    <div style="overflow-x: auto;">
+                        <table class="transaction-table">
+                            <thead>
+                                <tr>
+                                    <th>Contract</th>
+                                    <th>Owned</th>
+                                    <th>Possessed</th>
+                                    <th>Locked</th>
+                                    <th>Transferable</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${holding.positions.map(position => `
+                                    <tr>
+                                        <td>${position.contract}</td>
+                                        <td>${format(position.owned)}</td>
+                                        <td>${format(position.possessed)}</td>
+                                        <td>${format(position.locked)}</td>
+                                        <td>${format(position.transferable)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                ` : ''}
+
+                <h3 style="margin-top: 30px;">Holdings Over Time</h3>
+                <div id="asset-holdings-chart"></div>
+
+                <h3 style="margin-top: 30px;">Transfer History</h3>
+                <div id="asset-transfers">
+                    <div class="loading">Decoding asset transfers...</div>
+                </div>
+
+                <details class="asset-override">
+                    <summary>Edit local metadata${Object.keys(assetInfo.override).length > 0 ? ' (customized)' : ''}</summary>
+                    <div class="filters">
+                        <input type="text" class="filter-select price-input" id="asset-override-description" placeholder="Description" value="${this.escapeHtml(assetInfo.override.description || '')}">
+                        <input type="text" class="filter-select" id="asset-override-type" placeholder="Type (e.g. Utility)" value="${this.escapeHtml(assetInfo.override.type || '')}">
+                        <input type="color" id="asset-override-color" value="${this.escapeHtml(assetInfo.color)}">
+                        <button class="btn btn-primary" id="asset-override-save-btn">Save</button>
+                    </div>
+                </details>
                 
                 <div style="margin-top: 30px;">
                     <button class="btn" onclick="app.switchTab('portfolio')">
@@ -546,29 +2357,173 @@ class QubicPortfolioApp {
                 </div>
             </div>
         `;
+
+        document.getElementById('asset-override-save-btn').addEventListener('click', () => {
+            this.saveAssetOverride(assetInfo.name, assetInfo.issuer);
+        });
+
+        this.displayAssetHoldings(assetInfo);
+        this.displayAssetTransfers(assetInfo);
     }
 
     /**
-     * Get asset information
+     * Chart holdings of one asset from recorded snapshots
+     * Transfers cannot be replayed for this: share transfers sent to a wallet by others are
+     * not in its own transaction list, so only measured holdings are plotted
      */
-    getAssetInfo(assetName) {
-        const assetDatabase = {
-            'CFB': { description: 'Come-from-Beyond Token', type: 'Utility', color: '#667eea' },
-            'QCAP': { description: 'Qubic Capital Token', type: 'Governance', color: '#764ba2' },
-            'GARTH': { description: 'GARTH Community Token', type: 'Community', color: '#48bb78' },
-            'MATILDA': { description: 'MATILDA Protocol Token', type: 'Protocol', color: '#ed8936' },
-            'CODED': { description: 'CODED Development Token', type: 'Development', color: '#f56565' },
-            'QMINE': { description: 'Qubic Mining Token', type: 'Mining', color: '#9f7aea' },
-            'QXTRADE': { description: 'Qubic Exchange Token', type: 'Exchange', color: '#38b2ac' },
-            'QDRAW': { description: 'Qubic Draw Token', type: 'Lottery', color: '#ed64a6' },
-            'RL': { description: 'Random Lottery Token', type: 'Collectible', color: '#805ad5' }
-        };
+    displayAssetHoldings(assetInfo) {
+        const container = document.getElementById('asset-holdings-chart');
+        const key = assetRegistry.getKey(assetInfo.name, assetInfo.issuer);
+        const snapshots = snapshotStore.getSnapshots(this.getViewKey());
 
-        return assetDatabase[assetName] || {
-            description: 'Qubic Network Token',
-            type: 'Token',
-            color: '#718096'
-        };
+        if (snapshots.length < 2) {
+            chartManager.destroyChart('assetHoldingsChart');
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Not enough history yet. Holdings are recorded every time portfolio data loads.</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div style="height: 250px;">
+                <canvas id="assetHoldingsChart"></canvas>
+            </div>
+            <p class="chart-note">Holdings as recorded each time portfolio data loaded.</p>
+        `;
+        chartManager.createAssetHoldingsChart(
+            snapshots,
+            key,
+            assetInfo.name,
+            (units) => assetRegistry.formatAmount(units, assetInfo.decimals)
+        );
+    }
+
+    /**
+     * List decoded transfers of one asset
+     */
+    async displayAssetTransfers(assetInfo) {
+        const key = assetRegistry.getKey(assetInfo.name, assetInfo.issuer);
+        const wallets = this.getActiveWallets();
+        const format = (units) => assetRegistry.formatAmount(units, assetInfo.decimals);
+
+        try {
+            const stored = (await Promise.all(wallets.map(wallet => transactionLedger.getTransactions(wallet)))).flat();
+            const transfers = this.getAssetTransfers(stored, assetInfo, wallets);
+            await this.resolveTransactionTimes(transfers);
+
+            // The user may have opened another asset in the meantime
+            const container = document.getElementById('asset-transfers');
+            if (this.selectedAsset !== key || !container) return;
+
+            if (transfers.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <p>No transfers of ${this.escapeHtml(assetInfo.name)} in the loaded transaction history.</p>
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = `
+                <div style="overflow-x: auto;">
+                    <table class="transaction-table">
+                        <thead>
+                            <tr>
+                                <th>Type</th>
+                                <th>Units</th>
+                                <th>Counterparty</th>
+                                <th>Date</th>
+                                <th>Tick</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${transfers.map(transfer => `
+                                <tr${this.getTransactionRowAttributes(transfer)}>
+                                    <td class="tx-${transfer.type}">
+                                        <strong>${transfer.type === 'internal' ? '⇄ MOVE' : (transfer.type === 'incoming' ? '↓ IN' : '↑ OUT')}</strong>
+                                    </td>
+                                    <td style="font-weight: bold;">
+                                        ${transfer.type === 'incoming' ? '+' : (transfer.type === 'outgoing' ? '-' : '')}${format(transfer.amount)}
+                                    </td>
+                                    <td style="font-family: monospace; font-size: 11px;">
+                                        ${transfer.type === 'internal'
+                                            ? `${this.formatAddress(transfer.sourceId)} → ${this.formatAddress(transfer.destId)}`
+                                            : this.formatAddress(transfer.type === 'incoming' ? transfer.sourceId : transfer.destId)}
+                                    </td>
+                                    <td style="font-size: 12px;">${this.formatTransactionDate(transfer)}</td>
+                                    <td>${transfer.tick.toLocaleString()}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="asset-transfers-note">
+                    Only transfers sent from your wallets are listed: transfers sent to them by others and
+                    QX trades are not part of your own transaction list.
+                </p>
+            `;
+        } catch (error) {
+            console.error('Error loading asset transfers:', error);
+            const container = document.getElementById('asset-transfers');
+            if (container) {
+                container.innerHTML = '<div class="empty-state">Failed to load asset transfers</div>';
+            }
+        }
+    }
+
+    /**
+     * Decode the transfers of one asset from stored transactions, newest first
+     * Each transfer is shaped like a QU transfer ({ id, tick, sourceId, destId, amount, type }) with units as amount
+     */
+    getAssetTransfers(transactions, assetInfo, wallets) {
+        const ownWallets = new Set(wallets);
+        const seen = new Set();
+        const transfers = [];
+
+        transactions.forEach(tx => {
+            // The fee must have been paid for the procedure to run
+            if (seen.has(tx.id) || tx.moneyFlew === false) return;
+
+            const transfer = transactionDecoder.decodeAssetTransfer(tx);
+            if (!transfer || transfer.assetName !== assetInfo.name || transfer.issuer !== assetInfo.issuer) return;
+
+            seen.add(tx.id);
+
+            const fromOwn = ownWallets.has(transfer.from);
+            const toOwn = ownWallets.has(transfer.to);
+
+            transfers.push({
+                id: tx.id,
+                tick: tx.tick,
+                timestamp: tx.timestamp,
+                timeEstimated: tx.timeEstimated,
+                sourceId: transfer.from,
+                destId: transfer.to,
+                amount: transfer.shares,
+                type: fromOwn && toOwn ? 'internal' : (toOwn ? 'incoming' : 'outgoing')
+            });
+        });
+
+        return transfers.sort((a, b) => b.tick - a.tick);
+    }
+
+    /**
+     * Save local metadata for an asset from the details form
+     */
+    saveAssetOverride(assetName, issuer) {
+        const color = document.getElementById('asset-override-color').value;
+
+        assetRegistry.setOverride(assetName, issuer, {
+            description: document.getElementById('asset-override-description').value,
+            type: document.getElementById('asset-override-type').value,
+            // Only keep the color if it differs from the default one
+            color: color === assetRegistry.getDefaultColor(assetName) ? '' : color
+        });
+
+        this.renderAssetDetails(assetRegistry.getCached(assetName, issuer));
+        this.showToast('Asset metadata saved', 'success');
     }
 
     /**
@@ -590,6 +2545,10 @@ class QubicPortfolioApp {
             this.loadTransactions();
         } else if (tabName === 'analytics' && this.transactions.length === 0) {
             this.loadTransactions();
+        } else if (tabName === 'alerts') {
+            this.renderAlerts();
+        } else if (tabName === 'addressbook') {
+            this.renderAddressBook();
         }
     }
 
@@ -604,6 +2563,153 @@ class QubicPortfolioApp {
         currentTick.textContent = status.currentTick.toLocaleString();
     }
 
+    /**
+     * Register the service worker and show update and install prompts
+     */
+    setupServiceWorker() {
+        pwaManager.onUpdateReady(() => {
+            document.getElementById('update-banner').style.display = 'flex';
+        });
+
+        pwaManager.onInstallAvailable(available => {
+            document.getElementById('install-btn').style.display = available ? 'inline-flex' : 'none';
+        });
+
+        pwaManager.register();
+    }
+
+    /**
+     * Show the endpoint in use and announce failovers
+     */
+    setupEndpointMonitoring() {
+        endpointManager.onChange((active, previousUrl) => {
+            this.updateEndpointIndicator();
+
+            if (previousUrl && previousUrl !== active.url) {
+                this.showToast(`Switched RPC endpoint to ${endpointManager.getLabel(active.url)}`, 'info');
+            }
+        });
+
+        endpointManager.updateActive();
+    }
+
+    /**
+     * Update the endpoint indicator in the header
+     */
+    updateEndpointIndicator() {
+        const active = endpointManager.getActive();
+        const health = endpointManager.getHealth(active.url);
+        const preferred = endpointManager.getEndpoints().find(endpoint => endpoint.enabled);
+        const indicator = document.getElementById('endpoint-indicator');
+
+        document.getElementById('endpoint-label').textContent = endpointManager.isFixtureMode()
+            ? `Fixtures · ${endpointManager.getLabel(active.url)}`
+            : endpointManager.getLabel(active.url);
+        indicator.classList.toggle('down', !health.healthy);
+        indicator.classList.toggle('failover', health.healthy && Boolean(preferred) && preferred.url !== active.url);
+        indicator.title = health.healthy
+            ? `RPC endpoint in use: ${active.url}`
+            : `No healthy RPC endpoint (${health.lastError || 'unreachable'})`;
+    }
+
+    /**
+     * Render the editable endpoint list with health details
+     */
+    renderEndpointSettings() {
+        const note = document.getElementById('endpoint-fixture-note');
+        if (endpointManager.isFixtureMode()) {
+            note.innerHTML = `Fixture mode: requests go to the mock server at ${this.escapeHtml(endpointManager.fixtureUrl)} and use separate local data. <a href="${window.location.pathname}">Leave fixture mode</a>`;
+            note.style.display = 'block';
+        }
+
+        document.getElementById('endpoint-list').innerHTML = endpointManager.getEndpoints()
+            .map(endpoint => this.renderEndpointRow(endpoint))
+            .join('');
+
+        const stats = qubicAPI.getCacheStats();
+        document.getElementById('cache-stats').textContent =
+            `Request cache: ${stats.entries}/${stats.maxEntries} entries · ${Math.round(stats.hitRate * 100)}% hit rate ` +
+            `(${stats.hits} fresh, ${stats.staleHits} stale, ${stats.misses} missed) · ` +
+            `${stats.coalesced} shared · ${stats.evictions} evicted`;
+    }
+
+    /**
+     * Render one endpoint row
+     */
+    renderEndpointRow(endpoint) {
+        const health = endpoint.url ? endpointManager.getHealth(endpoint.url) : null;
+        let status = 'Not checked';
+
+        if (health && !health.healthy) {
+            status = health.lastError || 'Unreachable';
+        } else if (health && health.tick !== null) {
+            status = `Tick ${health.tick.toLocaleString()} · ${health.latency} ms`;
+        }
+
+        const headers = Object.keys(endpoint.headers).length > 0 ? JSON.stringify(endpoint.headers) : '';
+
+        return `
+            <div class="endpoint-row">
+                <input type="number" class="filter-select endpoint-priority" min="1" value="${endpoint.priority}" title="Priority">
+                <input type="text" class="filter-select endpoint-url" placeholder="https://rpc.example.org" value="${this.escapeHtml(endpoint.url)}">
+                <input type="text" class="filter-select endpoint-headers" placeholder='Headers as JSON, e.g. {"Authorization": "Bearer ..."}' value="${this.escapeHtml(headers)}">
+                <label><input type="checkbox" class="endpoint-enabled" ${endpoint.enabled ? 'checked' : ''}> Enabled</label>
+                <span class="endpoint-health ${health && !health.healthy ? 'bad' : 'ok'}">${this.escapeHtml(status)}</span>
+                <button class="icon-btn" onclick="this.closest('.endpoint-row').remove()" title="Remove endpoint">✕</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Validate and save the endpoint list, then reload through the new endpoints
+     */
+    async saveEndpointSettings() {
+        const endpoints = [];
+
+        for (const row of document.querySelectorAll('#endpoint-list .endpoint-row')) {
+            const url = row.querySelector('.endpoint-url').value.trim();
+            const headersText = row.querySelector('.endpoint-headers').value.trim();
+            if (!url) continue;
+
+            try {
+                new URL(url);
+            } catch (error) {
+                this.showToast(`Invalid endpoint URL: ${url}`, 'error');
+                return;
+            }
+
+            let headers = {};
+            try {
+                headers = headersText ? JSON.parse(headersText) : {};
+            } catch (error) {
+                this.showToast(`Headers for ${url} are not valid JSON`, 'error');
+                return;
+            }
+
+            endpoints.push({
+                url,
+                priority: parseInt(row.querySelector('.endpoint-priority').value) || 1,
+                headers,
+                enabled: row.querySelector('.endpoint-enabled').checked
+            });
+        }
+
+        if (!endpoints.some(endpoint => endpoint.enabled)) {
+            this.showToast('Enable at least one endpoint', 'error');
+            return;
+        }
+
+        endpointManager.saveEndpoints(endpoints);
+        qubicAPI.clearCache();
+        await endpointManager.checkHealth(true);
+        this.renderEndpointSettings();
+        this.showToast('RPC endpoints saved', 'success');
+
+        if (this.getActiveWallets().length > 0) {
+            this.loadAllData();
+        }
+    }
+
     /**
      * Update refresh indicator
      */
@@ -650,6 +2756,140 @@ class QubicPortfolioApp {
     loadSettings() {
         const settings = storage.getSettings();
         // Apply settings as needed
+        this.groupBy = settings.groupBy || 'none';
+        document.getElementById('tx-group').value = this.groupBy;
+        this.assetDistributionMode = settings.assetDistributionMode || 'value';
+        this.loadPriceSettings();
+        document.getElementById('tax-method').value = settings.taxMethod || 'fifo';
+        document.getElementById('tax-incoming').value = settings.taxIncoming || 'income';
+        document.getElementById('tax-price-url').value = settings.taxPriceUrl || '';
+    }
+
+    /**
+     * Fill the price controls from the saved price configuration
+     */
+    loadPriceSettings() {
+        const config = priceService.getConfig();
+        const manual = config.manualPrices[config.currency];
+        const priceFile = storage.getPriceFile();
+
+        document.getElementById('price-currency').innerHTML = priceService.CURRENCIES
+            .map(currency => `<option value="${currency}" ${currency === config.currency ? 'selected' : ''}>${currency}</option>`)
+            .join('');
+        document.getElementById('price-provider').value = config.provider;
+        document.getElementById('price-url').value = config.url;
+        document.getElementById('price-path').value = config.path;
+        document.getElementById('price-manual').value = manual ? manual.price : '';
+        document.getElementById('price-file-name').textContent = priceFile
+            ? `${priceFile.name} (${priceFile.prices.length} ${priceFile.currency} prices)`
+            : 'No file loaded';
+
+        // Only show the fields of the selected provider
+        document.querySelectorAll('[data-price-provider]').forEach(section => {
+            section.style.display = section.dataset.priceProvider === config.provider ? 'flex' : 'none';
+        });
+    }
+
+    /**
+     * Save the price source fields and fetch a fresh price
+     */
+    savePriceSettings() {
+        const config = priceService.getConfig();
+
+        if (config.provider === 'http') {
+            const url = document.getElementById('price-url').value.trim();
+            if (!url) {
+                this.showToast('Enter a price API URL', 'error');
+                return;
+            }
+            priceService.saveConfig({ url, path: document.getElementById('price-path').value.trim() });
+        }
+
+        if (config.provider === 'manual') {
+            const price = parseFloat(document.getElementById('price-manual').value);
+            if (!(price > 0)) {
+                this.showToast('Enter a price above zero', 'error');
+                return;
+            }
+            priceService.setManualPrice(config.currency, price);
+        }
+
+        document.getElementById('price-settings').style.display = 'none';
+        this.refreshPrice(true);
+    }
+
+    /**
+     * Load a price series file for offline valuation
+     */
+    async loadPriceFile(file) {
+        if (!file) return;
+
+        try {
+            const { currency } = priceService.getConfig();
+            const count = priceService.loadFile(file.name, await file.text(), currency);
+
+            this.loadPriceSettings();
+            this.showToast(`Loaded ${count} ${currency} prices`, 'success');
+            this.refreshPrice(true);
+        } catch (error) {
+            console.error('Error loading price file:', error);
+            this.showToast(`Failed to load price file: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Fetch the current price and update every fiat value shown
+     */
+    async refreshPrice(force = false) {
+        this.setPriceQuote(await priceService.getQuote(force));
+
+        if (this.portfolioData) {
+            this.updatePortfolioDisplay(this.portfolioData);
+        }
+        if (this.transactions.length) {
+            this.updateAnalytics(this.transactions);
+        }
+        this.updatePerformanceHistory();
+    }
+
+    /**
+     * Use a price quote for fiat values and show its status
+     */
+    setPriceQuote(quote) {
+        this.priceQuote = quote;
+        chartManager.setPriceQuote(quote);
+
+        const status = document.getElementById('price-status');
+        if (!quote) {
+            status.textContent = 'No price available';
+            status.classList.remove('stale');
+            return;
+        }
+
+        const age = this.formatTimeAgo(new Date(quote.timestamp).toISOString());
+        status.textContent = `1 QU = ${priceService.format(quote.price, quote.currency)} · ${age}${quote.stale ? ' (stale)' : ''}`;
+        status.classList.toggle('stale', quote.stale);
+    }
+
+    /**
+     * Format the fiat value of a QU amount ('' without a price)
+     */
+    formatFiat(amount) {
+        const value = priceService.toFiat(amount, this.priceQuote);
+        return value === null ? '' : `≈ ${priceService.format(value, this.priceQuote.currency)}`;
+    }
+
+    /**
+     * Change how transactions and the balance timeline are grouped
+     */
+    setGroupBy(groupBy) {
+        this.groupBy = groupBy;
+        storage.saveSettings({ ...storage.getSettings(), groupBy });
+
+        if (this.transactions.length) {
+            this.displayTransactions(this.getFilteredTransactions());
+            this.updateAnalytics(this.transactions);
+        }
     }
 
     /**
@@ -660,7 +2900,45 @@ class QubicPortfolioApp {
         const wallet = urlParams.get('wallet');
         
         if (wallet) {
-            this.setCurrentWallet(wallet);
+            const validation = identityValidator.validate(wallet);
+            if (!validation.valid) {
+                this.showToast(`Invalid wallet in URL: ${validation.error}`, 'error');
+                return;
+            }
+            this.setCurrentWallet(validation.identity);
+        }
+
+        const tx = urlParams.get('tx');
+        if (tx) {
+            this.openTransaction(tx);
+        }
+    }
+
+    /**
+     * Explain an API error in terms of what the user can do about it
+     */
+    getErrorMessage(error, fallback) {
+        switch (error.type) {
+            case 'not_found':
+                return 'This identity is not known to the network yet. Check the address, or wait until it has received a transfer.';
+            case 'rate_limited':
+                return error.retryAfter
+                    ? `The RPC endpoint is limiting requests. Try again in ${Math.ceil(error.retryAfter / 1000)} seconds.`
+                    : 'The RPC endpoint is limiting requests. Wait a minute, or add another endpoint in the RPC settings.';
+            case 'timeout':
+                return 'The RPC endpoint did not answer in time. Try again, or add a faster endpoint in the RPC settings.';
+            case 'network':
+                return navigator.onLine === false
+                    ? 'You are offline. Reconnect and refresh to load current data.'
+                    : 'Could not reach the RPC endpoint. Check your connection or the RPC settings.';
+            case 'server':
+                return error.status
+                    ? `The RPC endpoint failed (HTTP ${error.status}). Try again later, or add a backup endpoint in the RPC settings.`
+                    : 'The RPC endpoint sent an invalid response. Try again later, or add a backup endpoint in the RPC settings.';
+            case 'client':
+                return `${fallback}: the RPC endpoint rejected the request (HTTP ${error.status}).`;
+            default:
+                return fallback;
         }
     }
 
@@ -677,15 +2955,18 @@ class QubicPortfolioApp {
                   type === 'error' ? '<circle cx="12" cy="12" r="10"/><line x1="15" y1="9" x2="9" y2="15"/><line x1="9" y1="9" x2="15" y2="15"/>' :
                   '<circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/>'}
             </svg>
-            <span>${message}</span>
+            <span></span>
         `;
-        
+        // Messages carry wallet names and API errors, so they are never parsed as HTML
+        toast.querySelector('span').textContent = message;
+
         container.appendChild(toast);
         
+        // Errors stay longer, since they say what to do next
         setTimeout(() => {
             toast.style.animation = 'slideOut 0.3s ease-out forwards';
             setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        }, type === 'error' ? 6000 : 3000);
     }
 
     /**
@@ -711,6 +2992,28 @@ class QubicPortfolioApp {
         return `${address.substring(0, 8)}...${address.substring(address.length - 6)}`;
     }
 
+    /**
+     * Show an identity by its address book name when it has one, with the full identity on hover
+     */
+    formatAddress(address) {
+        const name = addressBook.getName(address);
+        return name
+            ? `<span class="address-name" title="${this.escapeHtml(address)}">${this.escapeHtml(name)}</span>`
+            : `<span title="${this.escapeHtml(address)}">${this.truncateAddress(address)}</span>`;
+    }
+
+    /**
+     * Escape text for safe use in HTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * Update timestamp
      */
@@ -0,0 +1,180 @@
+/**
+ * Asset Registry Module
+ * Loads asset issuances from the RPC, caches them and applies local metadata overrides
+ */
+
+class AssetRegistry {
+    constructor() {
+        this.ISSUANCES_MAX_AGE = 24 * 60 * 60 * 1000; // New issuances are rare
+        this.SUPPLY_MAX_AGE = 60 * 60 * 1000;
+        this.OVERRIDE_FIELDS = ['description', 'type', 'color'];
+        this.loading = null;
+    }
+
+    /**
+     * Registry key of an asset
+     */
+    getKey(name, issuer) {
+        return `${issuer}:${name}`;
+    }
+
+    /**
+     * Load issuances, using the cached list while it is fresh
+     */
+    async load(force = false) {
+        const registry = storage.getAssetRegistry();
+        if (!force && Date.now() - registry.fetchedAt < this.ISSUANCES_MAX_AGE) {
+            return registry;
+        }
+
+        // Share one request between callers
+        if (!this.loading) {
+            this.loading = qubicAPI.getAssetIssuances()
+                .then(issuances => {
+                    const latest = storage.getAssetRegistry();
+                    latest.issuances = {};
+                    issuances.forEach(issuance => {
+                        latest.issuances[this.getKey(issuance.name, issuance.issuer)] = issuance;
+                    });
+                    latest.fetchedAt = Date.now();
+                    storage.saveAssetRegistry(latest);
+                    return latest;
+                })
+                .catch(error => {
+                    console.error('Error loading asset registry:', error);
+                    return storage.getAssetRegistry();
+                })
+                .finally(() => {
+                    this.loading = null;
+                });
+        }
+
+        return this.loading;
+    }
+
+    /**
+     * Get everything known about an asset, including its total supply
+     * Returns { name, issuer, decimals, unitOfMeasurement, supply, description, type, color, known, override }
+     */
+    async getAsset(name, issuer) {
+        const registry = await this.load();
+        const supply = await this.getSupply(name, issuer);
+        return this.describe(name, issuer, registry.issuances[this.getKey(name, issuer)], supply);
+    }
+
+    /**
+     * Get an asset from the cache only (no requests)
+     */
+    getCached(name, issuer) {
+        const key = this.getKey(name, issuer);
+        const registry = storage.getAssetRegistry();
+        const supply = registry.supplies[key];
+        return this.describe(name, issuer, registry.issuances[key], supply ? supply.units : null);
+    }
+
+    /**
+     * Get the total supply of an asset (null if it cannot be loaded)
+     */
+    async getSupply(name, issuer) {
+        const key = this.getKey(name, issuer);
+        const cached = storage.getAssetRegistry().supplies[key];
+
+        if (cached && Date.now() - cached.fetchedAt < this.SUPPLY_MAX_AGE) {
+            return cached.units;
+        }
+
+        try {
+            const units = await qubicAPI.getAssetSupply(name, issuer);
+            const registry = storage.getAssetRegistry();
+            registry.supplies[key] = { units, fetchedAt: Date.now() };
+            storage.saveAssetRegistry(registry);
+            return units;
+        } catch (error) {
+            console.error('Error loading asset supply:', error);
+            return cached ? cached.units : null;
+        }
+    }
+
+    /**
+     * Combine an issuance, its supply and local overrides
+     */
+    describe(name, issuer, issuance, supply) {
+        const override = storage.getAssetOverrides()[this.getKey(name, issuer)] || {};
+
+        return {
+            name,
+            issuer,
+            decimals: issuance ? issuance.decimals : 0,
+            unitOfMeasurement: issuance ? issuance.unitOfMeasurement : [],
+            supply,
+            description: override.description || (issuance ? 'Asset issued on Qubic' : 'Unknown asset'),
+            type: override.type || 'Token',
+            color: override.color || this.getDefaultColor(name),
+            known: Boolean(issuance),
+            override
+        };
+    }
+
+    /**
+     * Save local metadata for an asset (empty fields are removed)
+     */
+    setOverride(name, issuer, fields) {
+        const overrides = storage.getAssetOverrides();
+        const override = {};
+
+        this.OVERRIDE_FIELDS.forEach(field => {
+            const value = (fields[field] || '').trim();
+            if (value) override[field] = value;
+        });
+
+        const key = this.getKey(name, issuer);
+        if (Object.keys(override).length > 0) {
+            overrides[key] = override;
+        } else {
+            delete overrides[key];
+        }
+
+        return storage.saveAssetOverrides(overrides);
+    }
+
+    /**
+     * Stable color for an asset name
+     */
+    getDefaultColor(name) {
+        let hash = 0;
+        for (const char of name) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return chartManager.defaultColors[hash % chartManager.defaultColors.length];
+    }
+
+    /**
+     * Format raw units with the asset's decimal places
+     */
+    formatAmount(units, decimals) {
+        if (!decimals) return units.toLocaleString();
+
+        return (units / Math.pow(10, decimals)).toLocaleString(undefined, {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: decimals
+        });
+    }
+
+    /**
+     * Describe a unit of measurement (exponents of the seven SI base units)
+     */
+    formatUnit(unitOfMeasurement) {
+        const exponents = Array.isArray(unitOfMeasurement)
+            ? unitOfMeasurement.map(Number)
+            : String(unitOfMeasurement || '').split('').map(Number);
+
+        if (exponents.every(exponent => !exponent)) return 'Count';
+        return exponents.join(' ');
+    }
+}
+
+// Create and export singleton instance
+const assetRegistry = new AssetRegistry();
+
+// For compatibility
+window.AssetRegistry = assetRegistry;
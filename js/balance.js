@@ -0,0 +1,127 @@
+/**
+ * Balance History Module
+ * Reconstructs historical QU balances by replaying transfers back from the current balance
+ */
+
+class BalanceHistory {
+    /**
+     * Rebuild the balance series of a set of wallets
+     * Returns { openingBalance, points, completeFromTick, truncated } where points are sorted by tick and
+     * each point is { tick, timestamp, change, balance } with the balance after that tick.
+     * With completeFromTick (see getCompleteFromTick), points before it are dropped, since they would
+     * be replayed from incomplete history; truncated tells whether any were, and openingBalance is null
+     */
+    reconstruct(transactions, currentBalance, wallets, completeFromTick = null) {
+        const ownWallets = new Set(wallets);
+        const changes = new Map();
+
+        transactions.forEach(tx => {
+            // Transfers that were not executed did not move any money
+            if (tx.moneyFlew === false) return;
+
+            const change = this.getBalanceChange(tx, ownWallets);
+            const point = changes.get(tx.tick) || { tick: tx.tick, timestamp: tx.timestamp || null, change: 0, txIds: new Set() };
+
+            // The same transfer can be listed once per own wallet
+            if (point.txIds.has(tx.id)) return;
+
+            point.txIds.add(tx.id);
+            point.change += change;
+            if (!point.timestamp && tx.timestamp) {
+                point.timestamp = tx.timestamp;
+            }
+            changes.set(tx.tick, point);
+        });
+
+        const points = Array.from(changes.values())
+            .sort((a, b) => a.tick - b.tick)
+            .map(({ tick, timestamp, change }) => ({ tick, timestamp, change, balance: 0 }));
+
+        // Walk backwards from the known current balance
+        let balance = Number(currentBalance) || 0;
+        for (let i = points.length - 1; i >= 0; i--) {
+            points[i].balance = balance;
+            balance -= points[i].change;
+        }
+
+        if (completeFromTick === null) {
+            return { openingBalance: balance, points, completeFromTick, truncated: false };
+        }
+
+        const complete = points.filter(point => point.tick >= completeFromTick);
+        return {
+            openingBalance: null,
+            points: complete,
+            completeFromTick,
+            truncated: complete.length < points.length
+        };
+    }
+
+    /**
+     * Lowest tick from which the loaded transfers are complete for every wallet, given their ledger
+     * sync states. Returns null when every wallet's full history is loaded, and Infinity when a
+     * wallet has not been synced at all. Wallets' loaded pages can cover different tick ranges,
+     * so the cut-off is the newest of their oldest loaded ticks
+     */
+    getCompleteFromTick(states) {
+        let fromTick = null;
+
+        states.forEach(state => {
+            if (state && state.historyComplete) return;
+
+            const tick = state && state.oldestTick !== undefined ? state.oldestTick : Infinity;
+            fromTick = fromTick === null ? tick : Math.max(fromTick, tick);
+        });
+
+        return fromTick;
+    }
+
+    /**
+     * Net effect of a transfer on the combined balance of the given wallets
+     * (self-transfers and moves between own wallets net to zero)
+     */
+    getBalanceChange(tx, ownWallets) {
+        // Without a wallet set, fall back to the direction recorded on the transfer
+        if (ownWallets.size === 0) {
+            if (tx.type === 'incoming') return tx.amount;
+            if (tx.type === 'outgoing') return -tx.amount;
+            return 0;
+        }
+
+        let change = 0;
+        if (ownWallets.has(tx.destId)) change += tx.amount;
+        if (ownWallets.has(tx.sourceId)) change -= tx.amount;
+        return change;
+    }
+
+    /**
+     * Balance after all transfers up to and including a tick
+     * (null for ticks before the complete range of a truncated history)
+     */
+    balanceAt(history, tick) {
+        const { openingBalance, points, completeFromTick = null } = history;
+        if (completeFromTick !== null && tick < completeFromTick) return null;
+
+        let low = 0;
+        let high = points.length - 1;
+        let found = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (points[mid].tick <= tick) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return found === -1 ? openingBalance : points[found].balance;
+    }
+}
+
+// Create and export singleton instance
+const balanceHistory = new BalanceHistory();
+
+// For compatibility
+window.BalanceHistory = balanceHistory;
@@ -11,6 +11,24 @@ class ChartManager {
             '#f56565', '#9f7aea', '#38b2ac', '#ed64a6',
             '#805ad5', '#d69e2e', '#e53e3e', '#38a169'
         ];
+        this.priceQuote = null;
+    }
+
+    /**
+     * Set the price quote used to show fiat values next to QU
+     */
+    setPriceQuote(quote) {
+        this.priceQuote = quote;
+    }
+
+    /**
+     * Format a QU amount, with its fiat value when a price is known
+     */
+    formatQU(value) {
+        const text = value.toLocaleString() + ' QU';
+        if (!this.priceQuote) return text;
+
+        return `${text} (≈ ${priceService.format(priceService.toFiat(value, this.priceQuote), this.priceQuote.currency)})`;
     }
 
     /**
@@ -44,9 +62,10 @@ class ChartManager {
 
     /**
      * Create balance timeline chart
+     * With completeFromTick, earlier balances are left out and shown as a gap labelled as not loaded
      */
-    createBalanceChart(transactions, currentBalance) {
-        const timelineData = this.generateTimelineData(transactions, currentBalance);
+    createBalanceChart(transactions, currentBalance, groupBy = 'none', wallets = [], completeFromTick = null) {
+        const timelineData = this.generateTimelineData(transactions, currentBalance, groupBy, wallets, completeFromTick);
         
         return this.getChart('balanceChart', 'line', {
             labels: timelineData.labels,
@@ -55,7 +74,7 @@ class ChartManager {
                 data: timelineData.balances,
                 borderColor: '#667eea',
                 backgroundColor: 'rgba(102, 126, 234, 0.1)',
-                tension: 0.4,
+                stepped: true,
                 fill: true
             }]
         }, {
@@ -73,7 +92,7 @@ class ChartManager {
                 },
                 tooltip: {
                     callbacks: {
-                        label: (context) => context.parsed.y.toLocaleString() + ' QU'
+                        label: (context) => this.formatQU(context.parsed.y)
                     }
                 }
             }
@@ -105,18 +124,23 @@ class ChartManager {
 
     /**
      * Create asset distribution chart
+     * mode 'value' sizes slices by QU value (unpriced assets are left out), 'units' by raw unit counts
      */
-    createAssetDistributionChart(assets) {
-        const sortedAssets = [...assets].sort((a, b) => b.amount - a.amount);
+    createAssetDistributionChart(assets, mode = 'units') {
+        const priced = assets.filter(asset => asset.valueQu !== undefined);
+        const byValue = mode === 'value' && priced.length > 0;
+        const sizeOf = (asset) => byValue ? asset.valueQu : asset.amount;
+
+        const sortedAssets = [...(byValue ? priced : assets)].sort((a, b) => sizeOf(b) - sizeOf(a));
         const top10 = sortedAssets.slice(0, 10);
         const others = sortedAssets.slice(10);
         
         const labels = top10.map(a => a.name);
-        const data = top10.map(a => a.amount);
+        const data = top10.map(sizeOf);
         
         if (others.length > 0) {
             labels.push('Others');
-            data.push(others.reduce((sum, a) => sum + a.amount, 0));
+            data.push(others.reduce((sum, a) => sum + sizeOf(a), 0));
         }
 
         return this.getChart('assetDistributionChart', 'pie', {
@@ -142,7 +166,7 @@ class ChartManager {
                     callbacks: {
                         label: (context) => {
                             const label = context.label || '';
-                            const value = context.parsed.toLocaleString();
+                            const value = byValue ? this.formatQU(context.parsed) : context.parsed.toLocaleString();
                             const total = context.dataset.data.reduce((a, b) => a + b, 0);
                             const percentage = ((context.parsed / total) * 100).toFixed(1);
                             return `${label}: ${value} (${percentage}%)`;
@@ -154,40 +178,150 @@ class ChartManager {
     }
 
     /**
-     * Create asset comparison chart
+     * Create chart of the counterparties most QU was exchanged with
+     * getLabel turns an identity into its display name
      */
-    createComparisonChart(currentBalance, assets, selectedAssets) {
+    createCounterpartyChart(transactions, getLabel) {
+        const totals = new Map();
+
+        transactions
+            .filter(tx => tx.type === 'incoming' || tx.type === 'outgoing')
+            .forEach(tx => {
+                const counterparty = tx.type === 'incoming' ? tx.sourceId : tx.destId;
+                const total = totals.get(counterparty) || { received: 0, sent: 0 };
+
+                total[tx.type === 'incoming' ? 'received' : 'sent'] += tx.amount;
+                totals.set(counterparty, total);
+            });
+
+        const top10 = Array.from(totals.entries())
+            .sort(([, a], [, b]) => (b.received + b.sent) - (a.received + a.sent))
+            .slice(0, 10);
+
+        return this.getChart('counterpartyChart', 'bar', {
+            labels: top10.map(([counterparty]) => getLabel(counterparty)),
+            datasets: [{
+                label: 'Received',
+                data: top10.map(([, total]) => total.received),
+                backgroundColor: '#48bb78'
+            }, {
+                label: 'Sent',
+                data: top10.map(([, total]) => total.sent),
+                backgroundColor: '#ed8936'
+            }]
+        }, {
+            indexAxis: 'y',
+            scales: {
+                x: {
+                    stacked: true,
+                    ticks: {
+                        callback: (value) => this.formatCompact(value)
+                    }
+                },
+                y: {
+                    stacked: true
+                }
+            },
+            plugins: {
+                legend: {
+                    position: 'bottom'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${this.formatQU(context.parsed.x)}`
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Create holdings-over-time chart of one asset from recorded snapshots
+     * assetKey is the issuer:name key the snapshots use
+     */
+    createAssetHoldingsChart(snapshots, assetKey, assetName, formatUnits) {
+        const labels = snapshots.map(snapshot => new Date(snapshot.timestamp).toLocaleString());
+        const data = snapshots.map(snapshot => snapshot.assets[assetKey] || 0);
+
+        return this.getChart('assetHoldingsChart', 'line', {
+            labels,
+            datasets: [{
+                label: assetName,
+                data,
+                borderColor: '#48bb78',
+                backgroundColor: 'rgba(72, 187, 120, 0.1)',
+                stepped: true,
+                fill: true
+            }]
+        }, {
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: (value) => this.formatCompact(value)
+                    }
+                }
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${formatUnits(context.parsed.y)} ${assetName}`
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Create performance history chart from recorded snapshots
+     * selectedAssets are issuer:name keys; the issuer is only shown when two share a name
+     */
+    createComparisonChart(snapshots, selectedAssets) {
+        const names = selectedAssets.map(assetKey => assetKey.slice(assetKey.indexOf(':') + 1));
+        const labelOf = (assetKey, index) => names.indexOf(names[index]) !== names.lastIndexOf(names[index])
+            ? `${names[index]} (${assetKey.slice(0, 6)}…)`
+            : names[index];
+
         const datasets = [{
             label: 'QU Balance',
-            data: this.generateTrendData(currentBalance / 1000000, 30),
+            data: snapshots.map(snapshot => snapshot.balance),
             borderColor: '#667eea',
             backgroundColor: 'rgba(102, 126, 234, 0.1)',
             tension: 0.4,
             yAxisID: 'y'
         }];
 
-        selectedAssets.forEach((assetName, index) => {
-            const asset = assets.find(a => a.name === assetName);
-            if (asset) {
-                datasets.push({
-                    label: assetName,
-                    data: this.generateTrendData(asset.amount / 1000000, 30, index * 0.1),
-                    borderColor: this.defaultColors[index + 1],
-                    backgroundColor: `rgba(${this.hexToRgb(this.defaultColors[index + 1])}, 0.1)`,
-                    tension: 0.4,
-                    yAxisID: 'y1'
-                });
-            }
+        selectedAssets.forEach((assetKey, index) => {
+            datasets.push({
+                label: labelOf(assetKey, index),
+                data: snapshots.map(snapshot => snapshot.assets[assetKey] || 0),
+                borderColor: this.defaultColors[index + 1],
+                backgroundColor: `rgba(${this.hexToRgb(this.defaultColors[index + 1])}, 0.1)`,
+                tension: 0.4,
+                yAxisID: 'y1'
+            });
         });
 
         return this.getChart('comparisonChart', 'line', {
-            labels: this.generateDateLabels(30),
+            labels: snapshots.map(snapshot => new Date(snapshot.timestamp).toLocaleString()),
             datasets
         }, {
             interaction: {
                 mode: 'index',
                 intersect: false,
             },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => context.dataset.yAxisID === 'y'
+                            ? `${context.dataset.label}: ${this.formatQU(context.parsed.y)}`
+                            : `${context.dataset.label}: ${context.parsed.y.toLocaleString()}`
+                    }
+                }
+            },
             scales: {
                 x: {
                     display: true,
@@ -202,26 +336,26 @@ class ChartManager {
                     position: 'left',
                     title: {
                         display: true,
-                        text: 'QU (Millions)',
+                        text: 'QU',
                         color: '#667eea'
                     },
                     ticks: {
                         color: '#667eea',
-                        callback: (value) => value.toFixed(1) + 'M'
+                        callback: (value) => this.formatCompact(value)
                     }
                 },
                 y1: {
                     type: 'linear',
-                    display: true,
+                    display: selectedAssets.length > 0,
                     position: 'right',
                     title: {
                         display: true,
-                        text: 'Assets (Millions)',
+                        text: 'Asset Units',
                         color: '#48bb78'
                     },
                     ticks: {
                         color: '#48bb78',
-                        callback: (value) => value.toFixed(1) + 'M'
+                        callback: (value) => this.formatCompact(value)
                     },
                     grid: {
                         drawOnChartArea: false,
@@ -232,57 +366,85 @@ class ChartManager {
     }
 
     /**
-     * Generate timeline data from transactions
+     * Generate timeline data by replaying the transfer history
      */
-    generateTimelineData(transactions, currentBalance) {
-        const sortedTxs = [...transactions].sort((a, b) => a.tick - b.tick);
-        const recentTxs = sortedTxs.slice(-20);
+    generateTimelineData(transactions, currentBalance, groupBy = 'none', wallets = [], completeFromTick = null) {
+        const { points, truncated } = balanceHistory.reconstruct(transactions, currentBalance, wallets, completeFromTick);
         
         const labels = [];
         const balances = [];
-        let balance = currentBalance;
-
-        // Work backwards to calculate historical balances
-        for (let i = recentTxs.length - 1; i >= 0; i--) {
-            const tx = recentTxs[i];
-            const date = new Date(Date.now() - (recentTxs.length - i) * 86400000);
-            
-            labels.unshift(date.toLocaleDateString());
-            balances.unshift(balance);
-            
-            // Reverse the transaction to get previous balance
-            if (tx.type === 'incoming') {
-                balance -= tx.amount;
-            } else {
-                balance += tx.amount;
-            }
+        const periods = [];
+
+        // A leading gap marks the range whose transfers are not loaded
+        if (truncated) {
+            labels.push(Number.isFinite(completeFromTick)
+                ? `Before tick ${completeFromTick.toLocaleString()} (not loaded)`
+                : 'Transfers not loaded');
+            balances.push(null);
+            periods.push('truncated');
         }
 
-        return { labels, balances };
+        points.forEach(point => {
+            const period = this.getPeriod(point.timestamp, groupBy);
+
+            labels.push(groupBy === 'none'
+                ? (point.timestamp ? new Date(point.timestamp).toLocaleString() : `Tick ${point.tick}`)
+                : period.label);
+            balances.push(point.balance);
+            periods.push(period.key);
+        });
+
+        if (groupBy === 'none') {
+            return { labels, balances, truncated };
+        }
+
+        // Keep the closing balance of each period
+        const grouped = { labels: [], balances: [], truncated };
+        periods.forEach((key, i) => {
+            if (i === periods.length - 1 || periods[i + 1] !== key) {
+                grouped.labels.push(labels[i]);
+                grouped.balances.push(balances[i]);
+            }
+        });
+
+        return grouped;
     }
 
     /**
-     * Generate trend data with some variation
+     * Get the day/week/epoch a timestamp belongs to as { key, label }
      */
-    generateTrendData(baseValue, days, offset = 0) {
-        const data = [];
-        for (let i = 0; i < days; i++) {
-            const variation = Math.sin((i + offset) * 0.2) * 0.1 + (Math.random() * 0.05 - 0.025);
-            data.push(Math.max(0, baseValue * (1 + variation)));
+    getPeriod(timestamp, groupBy) {
+        if (!timestamp) {
+            return { key: 'unknown', label: 'Unknown date' };
+        }
+
+        const date = new Date(timestamp);
+
+        if (groupBy === 'week') {
+            // Weeks start on Monday
+            const start = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+            return { key: `week-${start.getTime()}`, label: `Week of ${start.toLocaleDateString()}` };
+        }
+
+        if (groupBy === 'epoch') {
+            const epoch = qubicAPI.getEpochForTimestamp(timestamp);
+            return epoch === null
+                ? { key: 'unknown', label: 'Unknown epoch' }
+                : { key: `epoch-${epoch}`, label: `Epoch ${epoch}` };
+        }
+
+        if (groupBy === 'day') {
+            return { key: `day-${date.toDateString()}`, label: date.toLocaleDateString() };
         }
-        return data;
+
+        return { key: `tick-${timestamp}`, label: date.toLocaleString() };
     }
 
     /**
-     * Generate date labels
+     * Format a number compactly (e.g. 1.2M)
      */
-    generateDateLabels(days) {
-        const labels = [];
-        for (let i = days - 1; i >= 0; i--) {
-            const date = new Date(Date.now() - i * 86400000);
-            labels.push(date.toLocaleDateString());
-        }
-        return labels;
+    formatCompact(value) {
+        return new Intl.NumberFormat(undefined, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
     }
 
     /**
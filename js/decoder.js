@@ -0,0 +1,162 @@
+/**
+ * Transaction Decoder Module
+ * Decodes smart contract input payloads of transactions (QX asset transfers and orders)
+ */
+
+class TransactionDecoder {
+    constructor() {
+        this.QX_CONTRACT_INDEX = 1;
+
+        // QX procedures by input type, with the layout of their input payload
+        this.QX_PROCEDURES = {
+            1: { name: 'IssueAsset', decode: (bytes) => this.decodeIssueAsset(bytes) },
+            2: { name: 'TransferShareOwnershipAndPossession', decode: (bytes) => this.decodeShareTransfer(bytes) },
+            5: { name: 'AddToAskOrder', decode: (bytes) => this.decodeOrder(bytes) },
+            6: { name: 'AddToBidOrder', decode: (bytes) => this.decodeOrder(bytes) },
+            7: { name: 'RemoveFromAskOrder', decode: (bytes) => this.decodeOrder(bytes) },
+            8: { name: 'RemoveFromBidOrder', decode: (bytes) => this.decodeOrder(bytes) }
+        };
+    }
+
+    /**
+     * Index of the smart contract an identity belongs to (null for regular identities)
+     * Contract public keys are the contract index followed by zero bytes
+     */
+    getContractIndex(identity) {
+        if (!identity || identity.length !== 60) return null;
+
+        const publicKey = identityValidator.decodePublicKey(identity);
+        if (!publicKey || publicKey.slice(8).some(byte => byte !== 0)) return null;
+
+        const index = Number(this.readU64(publicKey, 0));
+        return index > 0 ? index : null;
+    }
+
+    /**
+     * Decode a transaction's input payload
+     * Returns { contractIndex, contract, procedure, inputType, fields } or null when it is not understood
+     */
+    decode(tx) {
+        const contractIndex = this.getContractIndex(tx.destId);
+        if (contractIndex !== this.QX_CONTRACT_INDEX || !tx.inputHex) return null;
+
+        const procedure = this.QX_PROCEDURES[tx.inputType];
+        if (!procedure) return null;
+
+        try {
+            const fields = procedure.decode(this.hexToBytes(tx.inputHex));
+            if (!fields) return null;
+
+            return {
+                contractIndex,
+                contract: qubicAPI.getContractName(contractIndex),
+                procedure: procedure.name,
+                inputType: tx.inputType,
+                fields
+            };
+        } catch (error) {
+            console.error('Error decoding transaction input:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Decode a transfer of asset shares
+     * Returns { issuer, assetName, shares, from, to } or null if the transaction is not one
+     */
+    decodeAssetTransfer(tx) {
+        const decoded = this.decode(tx);
+        if (!decoded || decoded.procedure !== 'TransferShareOwnershipAndPossession') return null;
+
+        const { issuer, assetName, shares, newOwner } = decoded.fields;
+        return { issuer, assetName, shares, from: tx.sourceId, to: newOwner };
+    }
+
+    /**
+     * IssueAsset: assetName, numberOfShares, unitOfMeasurement, numberOfDecimalPlaces (25 bytes)
+     */
+    decodeIssueAsset(bytes) {
+        if (bytes.length < 25) return null;
+
+        return {
+            assetName: this.readAssetName(bytes, 0),
+            shares: Number(this.readI64(bytes, 8)),
+            unitOfMeasurement: Array.from(bytes.slice(16, 23)),
+            decimals: (bytes[24] << 24) >> 24
+        };
+    }
+
+    /**
+     * TransferShareOwnershipAndPossession: issuer, newOwnerAndPossessor, assetName, numberOfShares (80 bytes)
+     */
+    decodeShareTransfer(bytes) {
+        if (bytes.length < 80) return null;
+
+        return {
+            issuer: identityValidator.encodePublicKey(bytes.slice(0, 32)),
+            newOwner: identityValidator.encodePublicKey(bytes.slice(32, 64)),
+            assetName: this.readAssetName(bytes, 64),
+            shares: Number(this.readI64(bytes, 72))
+        };
+    }
+
+    /**
+     * Ask/bid order changes: issuer, assetName, price, numberOfShares (56 bytes)
+     */
+    decodeOrder(bytes) {
+        if (bytes.length < 56) return null;
+
+        return {
+            issuer: identityValidator.encodePublicKey(bytes.slice(0, 32)),
+            assetName: this.readAssetName(bytes, 32),
+            price: Number(this.readI64(bytes, 40)),
+            shares: Number(this.readI64(bytes, 48))
+        };
+    }
+
+    /**
+     * Read an asset name stored as up to 8 ASCII characters
+     */
+    readAssetName(bytes, offset) {
+        let name = '';
+        for (let i = offset; i < offset + 8 && bytes[i] !== 0; i++) {
+            name += String.fromCharCode(bytes[i]);
+        }
+        return name;
+    }
+
+    /**
+     * Read an unsigned little-endian 64-bit integer
+     */
+    readU64(bytes, offset) {
+        let value = 0n;
+        for (let i = 7; i >= 0; i--) {
+            value = (value << 8n) | BigInt(bytes[offset + i]);
+        }
+        return value;
+    }
+
+    /**
+     * Read a signed little-endian 64-bit integer
+     */
+    readI64(bytes, offset) {
+        return BigInt.asIntN(64, this.readU64(bytes, offset));
+    }
+
+    /**
+     * Convert a hex string to bytes
+     */
+    hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+}
+
+// Create and export singleton instance
+const transactionDecoder = new TransactionDecoder();
+
+// For compatibility
+window.TransactionDecoder = transactionDecoder;
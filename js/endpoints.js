@@ -0,0 +1,216 @@
+/**
+ * Endpoint Manager Module
+ * Keeps a prioritized list of RPC endpoints, checks their health and fails over between them
+ */
+
+class EndpointManager {
+    constructor() {
+        this.DEFAULT_ENDPOINTS = [
+            { url: 'https://rpc.qubic.org', priority: 1, headers: {}, enabled: true }
+        ];
+        this.HEALTH_CHECK_INTERVAL = 60 * 1000;
+        this.MAX_TICK_LAG = 30; // Ticks behind the most advanced endpoint before it counts as lagging
+        this.STALL_TIME = 2 * 60 * 1000; // An endpoint whose tick has not moved for this long is stalled
+        this.MAX_FAILURES = 2; // Consecutive request failures before failing over
+        this.FIXTURE_URL = 'http://localhost:8787'; // Default address of mock/server.js
+
+        // ?rpc=mock (or ?rpc=<url>) points the app at a mock RPC server for offline development
+        this.fixtureUrl = this.getFixtureUrl();
+
+        this.health = new Map();
+        this.activeUrl = null;
+        this.lastHealthCheck = 0;
+        this.listeners = [];
+    }
+
+    /**
+     * Read the mock server address from the page's rpc parameter (null when not set)
+     */
+    getFixtureUrl() {
+        const value = new URLSearchParams(window.location.search).get('rpc');
+        if (!value) return null;
+        if (value === 'mock') return this.FIXTURE_URL;
+
+        try {
+            const url = new URL(value);
+            return /^https?:$/.test(url.protocol) ? value.replace(/\/+$/, '') : null;
+        } catch (error) {
+            console.error('Invalid rpc parameter:', value);
+            return null;
+        }
+    }
+
+    /**
+     * Whether requests go to a mock server instead of the configured endpoints
+     */
+    isFixtureMode() {
+        return this.fixtureUrl !== null;
+    }
+
+    /**
+     * Get configured endpoints, highest priority (lowest number) first
+     */
+    getEndpoints() {
+        if (this.isFixtureMode()) {
+            return [{ url: this.fixtureUrl, priority: 1, headers: {}, enabled: true }];
+        }
+
+        const endpoints = storage.getSettings().endpoints || this.DEFAULT_ENDPOINTS;
+
+        return endpoints
+            .map(endpoint => ({
+                url: endpoint.url.replace(/\/+$/, ''),
+                priority: Number(endpoint.priority) || 1,
+                headers: endpoint.headers || {},
+                enabled: endpoint.enabled !== false
+            }))
+            .sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Save the endpoint list to settings
+     */
+    saveEndpoints(endpoints) {
+        storage.saveSettings({ ...storage.getSettings(), endpoints });
+        this.health.clear();
+        this.lastHealthCheck = 0;
+        this.updateActive();
+    }
+
+    /**
+     * Enabled endpoints in the order they should be tried: healthy ones by priority,
+     * then unhealthy ones as a last resort
+     */
+    getCandidates() {
+        const enabled = this.getEndpoints().filter(endpoint => endpoint.enabled);
+        const healthy = enabled.filter(endpoint => this.getHealth(endpoint.url).healthy);
+        const unhealthy = enabled.filter(endpoint => !this.getHealth(endpoint.url).healthy);
+
+        return [...healthy, ...unhealthy];
+    }
+
+    /**
+     * Get the endpoint currently in use
+     */
+    getActive() {
+        return this.getCandidates()[0] || this.DEFAULT_ENDPOINTS[0];
+    }
+
+    /**
+     * Get the health of an endpoint
+     * { healthy, tick, tickChangedAt, latency, failures, lastError, checkedAt }
+     */
+    getHealth(url) {
+        if (!this.health.has(url)) {
+            this.health.set(url, { healthy: true, tick: null, tickChangedAt: null, latency: null, failures: 0, lastError: null, checkedAt: null });
+        }
+        return this.health.get(url);
+    }
+
+    /**
+     * Record a successful request
+     */
+    markSuccess(url) {
+        const health = this.getHealth(url);
+        health.failures = 0;
+        health.lastError = null;
+    }
+
+    /**
+     * Record a failed request; repeated failures take the endpoint out of rotation
+     */
+    markFailure(url, error) {
+        const health = this.getHealth(url);
+        health.failures++;
+        health.lastError = error.message;
+
+        if (health.failures >= this.MAX_FAILURES) {
+            health.healthy = false;
+        }
+
+        this.updateActive();
+    }
+
+    /**
+     * Check every enabled endpoint's status and tick freshness (at most once per interval)
+     */
+    async checkHealth(force = false) {
+        if (!force && Date.now() - this.lastHealthCheck < this.HEALTH_CHECK_INTERVAL) return;
+        this.lastHealthCheck = Date.now();
+
+        const endpoints = this.getEndpoints().filter(endpoint => endpoint.enabled);
+        const results = await Promise.all(endpoints.map(async endpoint => {
+            try {
+                return { endpoint, ...(await qubicAPI.getEndpointStatus(endpoint)) };
+            } catch (error) {
+                return { endpoint, error };
+            }
+        }));
+
+        const bestTick = Math.max(0, ...results.filter(result => !result.error).map(result => result.tick));
+        const now = Date.now();
+
+        results.forEach(({ endpoint, tick, latency, error }) => {
+            const health = this.getHealth(endpoint.url);
+            health.checkedAt = now;
+
+            if (error) {
+                health.healthy = false;
+                health.lastError = error.message;
+                return;
+            }
+
+            if (tick !== health.tick) {
+                health.tick = tick;
+                health.tickChangedAt = now;
+            }
+
+            const lagging = bestTick - tick > this.MAX_TICK_LAG;
+            const stalled = now - health.tickChangedAt > this.STALL_TIME;
+
+            health.latency = latency;
+            health.failures = 0;
+            health.healthy = !lagging && !stalled;
+            health.lastError = lagging
+                ? `${(bestTick - tick).toLocaleString()} ticks behind`
+                : (stalled ? 'Tick has not advanced' : null);
+        });
+
+        this.updateActive();
+    }
+
+    /**
+     * Notify listeners when the endpoint in use changes
+     */
+    updateActive() {
+        const active = this.getActive();
+        const previousUrl = this.activeUrl;
+
+        this.activeUrl = active.url;
+        this.listeners.forEach(listener => listener(active, previousUrl));
+    }
+
+    /**
+     * Subscribe to endpoint changes; listener(active, previousUrl)
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Short display name of an endpoint
+     */
+    getLabel(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return url;
+        }
+    }
+}
+
+// Create and export singleton instance
+const endpointManager = new EndpointManager();
+
+// For compatibility
+window.EndpointManager = endpointManager;
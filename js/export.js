@@ -0,0 +1,212 @@
+/**
+ * Transaction Export Module
+ * Converts transactions to CSV, JSON and tax-tool import formats
+ */
+
+class TransactionExporter {
+    constructor() {
+        this.CURRENCY = 'QUBIC';
+        this.FORMATS = {
+            csv: { extension: 'csv', mimeType: 'text/csv' },
+            json: { extension: 'json', mimeType: 'application/json' },
+            koinly: { extension: 'csv', mimeType: 'text/csv' }
+        };
+    }
+
+    /**
+     * Export transactions in the given format ('csv', 'json' or 'koinly')
+     * With a price quote, amounts are also valued in its currency
+     */
+    export(transactions, format, quote = null) {
+        switch (format) {
+            case 'json':
+                return this.toJSON(transactions, quote);
+            case 'koinly':
+                return this.toKoinlyCSV(transactions, quote);
+            default:
+                return this.toCSV(transactions, quote);
+        }
+    }
+
+    /**
+     * Flatten a transaction into an export record
+     */
+    toRecord(tx, quote = null) {
+        const value = this.getFiatValue(tx, quote);
+
+        const isIncoming = tx.type === 'incoming';
+        const counterparty = tx.type === 'internal' ? tx.destId : (isIncoming ? tx.sourceId : tx.destId);
+        const wallet = tx.type === 'internal' ? tx.sourceId : (isIncoming ? tx.destId : tx.sourceId);
+
+        return {
+            id: tx.id,
+            tick: tx.tick,
+            date: tx.timestamp ? new Date(tx.timestamp).toISOString() : '',
+            dateEstimated: Boolean(tx.timeEstimated),
+            direction: tx.type,
+            wallet,
+            walletLabel: this.getLabel(wallet),
+            counterparty,
+            counterpartyLabel: this.getLabel(counterparty),
+            amount: tx.amount,
+            fiatValue: value ? value.amount : '',
+            fiatCurrency: value ? value.currency : '',
+            fiatPrice: value ? (value.historical ? 'historical' : 'current') : '',
+            executed: tx.moneyFlew !== false
+        };
+    }
+
+    /**
+     * Fiat value of a transfer, at its date when the price provider has history
+     * and at the current price otherwise
+     */
+    getFiatValue(tx, quote) {
+        if (!quote) return null;
+
+        const historical = priceService.getHistoricalPrice(tx.timestamp);
+        const price = historical !== null ? historical : quote.price;
+
+        return {
+            amount: Number((tx.amount * price).toPrecision(8)),
+            currency: quote.currency,
+            historical: historical !== null
+        };
+    }
+
+    /**
+     * Get the label for an identity: its address book name or saved wallet name
+     */
+    getLabel(address) {
+        return addressBook.getName(address);
+    }
+
+    /**
+     * Plain CSV with one row per transfer
+     */
+    toCSV(transactions, quote = null) {
+        const header = [
+            'tick', 'date', 'date_estimated', 'direction', 'wallet', 'wallet_label',
+            'counterparty', 'counterparty_label', 'amount_qu', 'value_fiat', 'fiat_currency', 'fiat_price',
+            'executed', 'tx_id'
+        ];
+
+        const rows = transactions.map(tx => {
+            const record = this.toRecord(tx, quote);
+            return [
+                record.tick, record.date, record.dateEstimated, record.direction, record.wallet, record.walletLabel,
+                record.counterparty, record.counterpartyLabel, record.amount, record.fiatValue, record.fiatCurrency,
+                record.fiatPrice, record.executed, record.id
+            ];
+        });
+
+        return this.buildCSV(header, rows);
+    }
+
+    /**
+     * JSON array of export records
+     */
+    toJSON(transactions, quote = null) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            currency: this.CURRENCY,
+            fiatCurrency: quote ? quote.currency : null,
+            transactions: transactions.map(tx => this.toRecord(tx, quote))
+        }, null, 2);
+    }
+
+    /**
+     * Koinly universal CSV (also accepted by most other crypto tax tools)
+     * Transfers that were not executed are left out; moves between own wallets
+     * become a withdrawal and a deposit so the tool can match them as a transfer.
+     * Net worth is only filled in from historical prices; tax tools look up their own otherwise
+     */
+    toKoinlyCSV(transactions, quote = null) {
+        const header = [
+            'Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+            'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency',
+            'Label', 'Description', 'TxHash'
+        ];
+
+        const rows = [];
+        transactions
+            .filter(tx => tx.moneyFlew !== false)
+            .forEach(tx => {
+                const record = this.toRecord(tx, quote);
+                const date = this.formatKoinlyDate(tx.timestamp);
+                const description = this.describe(record);
+                const netWorth = record.fiatPrice === 'historical' ? [record.fiatValue, record.fiatCurrency] : ['', ''];
+
+                if (tx.type !== 'incoming') {
+                    rows.push([date, tx.amount, this.CURRENCY, '', '', '', '', ...netWorth, '', description, tx.id]);
+                }
+                if (tx.type !== 'outgoing') {
+                    rows.push([date, '', '', tx.amount, this.CURRENCY, '', '', ...netWorth, '', description, tx.id]);
+                }
+            });
+
+        return this.buildCSV(header, rows);
+    }
+
+    /**
+     * Human readable description of a transfer
+     */
+    describe(record) {
+        const name = (address, label) => label ? `${label} (${address})` : address;
+
+        if (record.direction === 'internal') {
+            return `Move from ${name(record.wallet, record.walletLabel)} to ${name(record.counterparty, record.counterpartyLabel)}`;
+        }
+        if (record.direction === 'incoming') {
+            return `Received from ${name(record.counterparty, record.counterpartyLabel)}`;
+        }
+        return `Sent to ${name(record.counterparty, record.counterpartyLabel)}`;
+    }
+
+    /**
+     * Format a timestamp as "YYYY-MM-DD HH:mm:ss UTC"
+     */
+    formatKoinlyDate(timestamp) {
+        if (!timestamp) return '';
+        return new Date(timestamp).toISOString().replace('T', ' ').substring(0, 19) + ' UTC';
+    }
+
+    /**
+     * Build CSV text, quoting fields where needed
+     * Text that a spreadsheet would run as a formula (e.g. a label imported from someone
+     * else's address book) is prefixed with ' so it is shown as text; numbers are left alone
+     */
+    buildCSV(header, rows) {
+        const escape = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    /**
+     * Offer content as a file download
+     */
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Create and export singleton instance
+const transactionExporter = new TransactionExporter();
+
+// For compatibility
+window.TransactionExporter = transactionExporter;
@@ -0,0 +1,244 @@
+/**
+ * Identity Validator Module
+ * Validates Qubic identities (60 uppercase letters with a KangarooTwelve checksum)
+ */
+
+class IdentityValidator {
+    constructor() {
+        this.IDENTITY_LENGTH = 60;
+        this.SEED_LENGTH = 55;
+        this.PUBLIC_KEY_LENGTH = 32;
+
+        // Keccak-f[1600] round constants; KangarooTwelve uses the last 12 rounds
+        this.ROUND_CONSTANTS = [
+            0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+            0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+            0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+        ];
+
+        // Rotation offsets indexed by lane (x + 5 * y)
+        this.ROTATIONS = [
+            0, 1, 62, 28, 27,
+            36, 44, 6, 55, 20,
+            3, 10, 43, 25, 39,
+            41, 45, 15, 21, 8,
+            18, 2, 61, 56, 14
+        ];
+
+        this.MASK_64 = (1n << 64n) - 1n;
+    }
+
+    /**
+     * Validate an identity and describe what is wrong with it
+     * Returns { valid: true, identity } or { valid: false, error }
+     */
+    validate(input) {
+        const identity = typeof input === 'string' ? input.trim() : '';
+
+        if (!identity) {
+            return { valid: false, error: 'Wallet address is required' };
+        }
+
+        if (identity.length === this.SEED_LENGTH && /^[a-z]+$/.test(identity)) {
+            return { valid: false, error: 'This looks like a seed, not a wallet address. Never share your seed!' };
+        }
+
+        if (/[a-z]/.test(identity)) {
+            return { valid: false, error: 'Wallet address contains lowercase letters' };
+        }
+
+        if (!/^[A-Z]+$/.test(identity)) {
+            return { valid: false, error: 'Wallet address may only contain letters A-Z' };
+        }
+
+        if (identity.length !== this.IDENTITY_LENGTH) {
+            return {
+                valid: false,
+                error: `Wallet address must be ${this.IDENTITY_LENGTH} characters (got ${identity.length})`
+            };
+        }
+
+        const publicKey = this.decodePublicKey(identity);
+        if (!publicKey) {
+            return { valid: false, error: 'Wallet address does not encode a valid public key' };
+        }
+
+        if (this.computeChecksum(publicKey) !== identity.substring(56)) {
+            return { valid: false, error: 'Wallet address has a bad checksum (check for typos)' };
+        }
+
+        return { valid: true, identity };
+    }
+
+    /**
+     * Check if an identity is valid
+     */
+    isValid(identity) {
+        return this.validate(identity).valid;
+    }
+
+    /**
+     * Decode the 56 body characters of an identity into a 32-byte public key
+     */
+    decodePublicKey(identity) {
+        const publicKey = new Uint8Array(this.PUBLIC_KEY_LENGTH);
+
+        for (let i = 0; i < 4; i++) {
+            let fragment = 0n;
+            for (let j = 13; j >= 0; j--) {
+                fragment = fragment * 26n + BigInt(identity.charCodeAt(i * 14 + j) - 65);
+            }
+
+            // 26^14 exceeds 2^64, so some letter combinations are not valid keys
+            if (fragment > this.MASK_64) {
+                return null;
+            }
+
+            for (let b = 0; b < 8; b++) {
+                publicKey[i * 8 + b] = Number((fragment >> BigInt(b * 8)) & 0xFFn);
+            }
+        }
+
+        return publicKey;
+    }
+
+    /**
+     * Encode a 32-byte public key as a 60-character identity
+     */
+    encodePublicKey(publicKey) {
+        let identity = '';
+
+        for (let i = 0; i < 4; i++) {
+            let fragment = 0n;
+            for (let b = 7; b >= 0; b--) {
+                fragment = (fragment << 8n) | BigInt(publicKey[i * 8 + b]);
+            }
+
+            for (let j = 0; j < 14; j++) {
+                identity += String.fromCharCode(65 + Number(fragment % 26n));
+                fragment /= 26n;
+            }
+        }
+
+        return identity + this.computeChecksum(publicKey);
+    }
+
+    /**
+     * Compute the 4-character checksum of a public key
+     */
+    computeChecksum(publicKey) {
+        const hash = this.kangarooTwelve(publicKey, 3);
+        let checksum = (hash[0] | (hash[1] << 8) | (hash[2] << 16)) & 0x3FFFF;
+
+        let result = '';
+        for (let i = 0; i < 4; i++) {
+            result += String.fromCharCode(65 + (checksum % 26));
+            checksum = Math.floor(checksum / 26);
+        }
+
+        return result;
+    }
+
+    /**
+     * KangarooTwelve for short messages (single chunk, empty customization)
+     */
+    kangarooTwelve(message, outputLength) {
+        const rate = 168;
+
+        // M || C || length_encode(|C|), with an empty customization string
+        const input = new Uint8Array(message.length + 1);
+        input.set(message);
+
+        if (input.length > 8192) {
+            throw new Error('Message too long for single-chunk KangarooTwelve');
+        }
+
+        const padded = new Uint8Array(Math.ceil((input.length + 1) / rate) * rate);
+        padded.set(input);
+        padded[input.length] ^= 0x07;
+        padded[padded.length - 1] ^= 0x80;
+
+        const state = new Array(25).fill(0n);
+        for (let offset = 0; offset < padded.length; offset += rate) {
+            for (let lane = 0; lane < rate / 8; lane++) {
+                state[lane] ^= this.readLane(padded, offset + lane * 8);
+            }
+            this.keccakP1600(state);
+        }
+
+        const output = new Uint8Array(outputLength);
+        for (let i = 0; i < outputLength; i++) {
+            if (i > 0 && i % rate === 0) {
+                this.keccakP1600(state);
+            }
+            const position = i % rate;
+            output[i] = Number((state[position >> 3] >> BigInt((position & 7) * 8)) & 0xFFn);
+        }
+
+        return output;
+    }
+
+    /**
+     * Keccak-p[1600, 12] permutation over 25 BigInt lanes
+     */
+    keccakP1600(state) {
+        const c = new Array(5);
+        const b = new Array(25);
+
+        for (const roundConstant of this.ROUND_CONSTANTS) {
+            // Theta
+            for (let x = 0; x < 5; x++) {
+                c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+            }
+            for (let x = 0; x < 5; x++) {
+                const d = c[(x + 4) % 5] ^ this.rotate(c[(x + 1) % 5], 1);
+                for (let y = 0; y < 25; y += 5) {
+                    state[x + y] ^= d;
+                }
+            }
+
+            // Rho and Pi
+            for (let x = 0; x < 5; x++) {
+                for (let y = 0; y < 5; y++) {
+                    b[y + 5 * ((2 * x + 3 * y) % 5)] = this.rotate(state[x + 5 * y], this.ROTATIONS[x + 5 * y]);
+                }
+            }
+
+            // Chi
+            for (let y = 0; y < 25; y += 5) {
+                for (let x = 0; x < 5; x++) {
+                    state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & this.MASK_64 & b[(x + 2) % 5 + y]);
+                }
+            }
+
+            // Iota
+            state[0] ^= roundConstant;
+        }
+    }
+
+    /**
+     * Rotate a 64-bit lane left
+     */
+    rotate(value, shift) {
+        if (shift === 0) return value;
+        const n = BigInt(shift);
+        return ((value << n) | (value >> (64n - n))) & this.MASK_64;
+    }
+
+    /**
+     * Read a little-endian 64-bit lane
+     */
+    readLane(bytes, offset) {
+        let lane = 0n;
+        for (let i = 7; i >= 0; i--) {
+            lane = (lane << 8n) | BigInt(bytes[offset + i]);
+        }
+        return lane;
+    }
+}
+
+// Create and export singleton instance
+const identityValidator = new IdentityValidator();
+
+// For compatibility
+window.IdentityValidator = identityValidator;
@@ -0,0 +1,278 @@
+/**
+ * Transaction Ledger Module
+ * Keeps a per-wallet copy of transfers in IndexedDB and syncs it incrementally
+ */
+
+class TransactionLedger {
+    constructor() {
+        this.DB_NAME = endpointManager.isFixtureMode() ? 'qubic_tracker_fixtures_ledger' : 'qubic_tracker_ledger';
+        this.DB_VERSION = 2; // Version 2 stores transaction input payloads
+        this.TRANSFERS_STORE = 'transfers';
+        this.SYNC_STORE = 'syncState';
+        this.dbPromise = null;
+
+        // Used when IndexedDB is unavailable (e.g. some private browsing modes)
+        this.memory = {
+            transfers: new Map(),
+            syncState: new Map()
+        };
+    }
+
+    /**
+     * Open the database (resolves to null if IndexedDB is unavailable)
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+
+                    // Older ledgers lack fields added since; drop them so they are synced again
+                    Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+
+                    const transfers = db.createObjectStore(this.TRANSFERS_STORE, { keyPath: ['wallet', 'id'] });
+                    transfers.createIndex('wallet', 'wallet');
+                    db.createObjectStore(this.SYNC_STORE, { keyPath: 'wallet' });
+                };
+
+                // Another tab still has an older version open; fall back to memory rather than wait for it
+                let blocked = false;
+                request.onblocked = () => {
+                    console.error('Transaction ledger upgrade blocked by another open tab');
+                    blocked = true;
+                    resolve(null);
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    if (blocked) {
+                        db.close();
+                        return;
+                    }
+
+                    // Let a newer version in another tab upgrade; the next operation reopens
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    console.error('Error opening transaction ledger:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run an operation against one object store and wait for it to commit
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get all stored transfers of a wallet, newest first
+     */
+    async getTransactions(wallet) {
+        const db = await this.open();
+
+        const transactions = db
+            ? await this.run(this.TRANSFERS_STORE, 'readonly', store => store.index('wallet').getAll(wallet))
+            : Array.from((this.memory.transfers.get(wallet) || new Map()).values());
+
+        return transactions
+            .map(({ wallet: _wallet, ...tx }) => tx)
+            .sort((a, b) => b.tick - a.tick);
+    }
+
+    /**
+     * Store transfers of a wallet (existing entries are overwritten)
+     */
+    async addTransactions(wallet, transactions) {
+        if (transactions.length === 0) return;
+
+        const db = await this.open();
+
+        if (!db) {
+            const known = this.memory.transfers.get(wallet) || new Map();
+            transactions.forEach(tx => known.set(tx.id, tx));
+            this.memory.transfers.set(wallet, known);
+            return;
+        }
+
+        await this.run(this.TRANSFERS_STORE, 'readwrite', store => {
+            transactions.forEach(tx => store.put({ ...tx, wallet }));
+        });
+    }
+
+    /**
+     * Get sync state of a wallet
+     * { wallet, syncedTick, oldestTick, totalRecords, historyComplete, updatedAt }
+     */
+    async getSyncState(wallet) {
+        const db = await this.open();
+
+        if (!db) {
+            return this.memory.syncState.get(wallet) || null;
+        }
+
+        const state = await this.run(this.SYNC_STORE, 'readonly', store => store.get(wallet));
+        return state || null;
+    }
+
+    /**
+     * Save sync state of a wallet
+     */
+    async saveSyncState(state) {
+        const saved = { ...state, updatedAt: new Date().toISOString() };
+        const db = await this.open();
+
+        if (!db) {
+            this.memory.syncState.set(state.wallet, saved);
+            return saved;
+        }
+
+        await this.run(this.SYNC_STORE, 'readwrite', store => store.put(saved));
+        return saved;
+    }
+
+    /**
+     * Fetch transfers newer than the highest synced tick
+     * The newest page is always fetched without a tick filter, so the total comes from the API
+     * rather than being counted up (range-filtered pages only count their own range)
+     */
+    async sync(wallet) {
+        const state = await this.getSyncState(wallet);
+        const newest = await qubicAPI.getTransactionsPage(wallet);
+        await this.addTransactions(wallet, newest.transactions);
+
+        // First sync: only the newest page, older pages are loaded on demand
+        if (!state || state.syncedTick === undefined) {
+            return this.saveSyncState(this.updateBounds({
+                wallet,
+                totalRecords: newest.totalRecords,
+                historyComplete: !newest.hasMore
+            }, newest.transactions));
+        }
+
+        // More new transfers than fit on one page: page through the rest of the gap
+        const caughtUp = !newest.hasMore || newest.transactions.some(tx => tx.tick <= state.syncedTick);
+        if (!caughtUp) {
+            for await (const result of qubicAPI.iterateTransactions(wallet, { startTick: state.syncedTick + 1 })) {
+                await this.addTransactions(wallet, result.transactions);
+                this.updateBounds(state, result.transactions);
+            }
+        }
+
+        this.updateBounds(state, newest.transactions);
+        state.totalRecords = newest.totalRecords;
+        return this.saveSyncState(state);
+    }
+
+    /**
+     * Fetch transfers older than the oldest stored one
+     * Loads a single page unless options.all is set; options.onProgress(fetched, remaining)
+     * is called after each page and options.isCancelled() stops the load between pages
+     */
+    async loadOlder(wallet, options = {}) {
+        const { all = false, onProgress, isCancelled } = options;
+        let state = await this.getSyncState(wallet);
+        if (!state || state.historyComplete) return state;
+
+        // The end tick is inclusive so a tick split across pages is not skipped
+        const endTick = state.oldestTick;
+        let fetched = 0;
+
+        for await (const result of qubicAPI.iterateTransactions(wallet, { endTick })) {
+            await this.addTransactions(wallet, result.transactions);
+            fetched += result.transactions.length;
+            this.updateBounds(state, result.transactions);
+            state.historyComplete = !result.hasMore;
+            state = await this.saveSyncState(state);
+
+            if (onProgress) {
+                onProgress(fetched, result.totalRecords);
+            }
+
+            if (!all || (isCancelled && isCancelled())) break;
+        }
+
+        return state;
+    }
+
+    /**
+     * Extend the synced tick range of a state with new transfers
+     */
+    updateBounds(state, transactions) {
+        transactions.forEach(tx => {
+            if (state.syncedTick === undefined || tx.tick > state.syncedTick) {
+                state.syncedTick = tx.tick;
+            }
+            if (state.oldestTick === undefined || tx.tick < state.oldestTick) {
+                state.oldestTick = tx.tick;
+            }
+        });
+
+        return state;
+    }
+
+    /**
+     * Remove a wallet's transfers and sync state
+     */
+    async clearWallet(wallet) {
+        const db = await this.open();
+
+        if (!db) {
+            this.memory.transfers.delete(wallet);
+            this.memory.syncState.delete(wallet);
+            return;
+        }
+
+        await this.run(this.TRANSFERS_STORE, 'readwrite', store =>
+            store.delete(IDBKeyRange.bound([wallet], [wallet, []]))
+        );
+        await this.run(this.SYNC_STORE, 'readwrite', store => store.delete(wallet));
+    }
+
+    /**
+     * Remove everything from the ledger
+     */
+    async clearAll() {
+        const db = await this.open();
+
+        if (!db) {
+            this.memory.transfers.clear();
+            this.memory.syncState.clear();
+            return;
+        }
+
+        await this.run(this.TRANSFERS_STORE, 'readwrite', store => store.clear());
+        await this.run(this.SYNC_STORE, 'readwrite', store => store.clear());
+    }
+}
+
+// Create and export singleton instance
+const transactionLedger = new TransactionLedger();
+
+// For compatibility
+window.TransactionLedger = transactionLedger;
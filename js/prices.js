@@ -0,0 +1,278 @@
+/**
+ * Price Service Module
+ * Values QU in fiat currencies through pluggable price providers
+ */
+
+class PriceService {
+    constructor() {
+        this.CURRENCIES = ['USD', 'EUR', 'GBP', 'CHF', 'JPY', 'CNY'];
+        this.CACHE_DURATION = 5 * 60 * 1000; // Quotes are refetched after 5 minutes
+        this.STALE_AFTER = 60 * 60 * 1000; // and shown as stale after an hour
+        this.DEFAULT_CONFIG = {
+            provider: 'http',
+            currency: 'USD',
+            url: 'https://api.coingecko.com/api/v3/simple/price?ids=qubic-network&vs_currencies={currency}',
+            path: 'qubic-network.{currency}',
+            manualPrices: {}
+        };
+
+        this.providers = new Map();
+
+        // Any JSON endpoint; {currency} in the URL and path is replaced by the lowercase currency code
+        this.registerProvider('http', {
+            label: 'Price API',
+            getQuote: async (config, currency) => {
+                const code = currency.toLowerCase();
+                const response = await fetch(config.url.replace(/\{currency\}/g, code));
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+
+                const price = this.readPath(await response.json(), config.path.replace(/\{currency\}/g, code));
+                return { price: Number(price), timestamp: Date.now() };
+            }
+        });
+
+        // Prices entered by hand, one per currency
+        this.registerProvider('manual', {
+            label: 'Manual price',
+            cacheable: false,
+            getQuote: async (config, currency) => {
+                const entry = config.manualPrices[currency];
+                return entry ? { price: entry.price, timestamp: entry.updatedAt } : null;
+            }
+        });
+
+        // Price series loaded from a local CSV or JSON file, usable offline
+        this.registerProvider('file', {
+            label: 'Price file',
+            cacheable: false,
+            getQuote: async (config, currency) => {
+                const series = this.getFileSeries(currency);
+                if (series.length === 0) return null;
+
+                const latest = series[series.length - 1];
+                return { price: latest.price, timestamp: latest.timestamp };
+            },
+            getHistory: (config, currency) => this.getFileSeries(currency)
+        });
+    }
+
+    /**
+     * Register a price provider
+     * provider: { label, getQuote(config, currency) => { price, timestamp } | null,
+     *             getHistory?(config, currency) => [{ timestamp, price }], cacheable? }
+     */
+    registerProvider(name, provider) {
+        this.providers.set(name, { cacheable: true, ...provider });
+    }
+
+    /**
+     * Get the price configuration from settings
+     */
+    getConfig() {
+        return { ...this.DEFAULT_CONFIG, ...(storage.getSettings().price || {}) };
+    }
+
+    /**
+     * Save the price configuration to settings
+     */
+    saveConfig(config) {
+        storage.saveSettings({ ...storage.getSettings(), price: { ...this.getConfig(), ...config } });
+    }
+
+    /**
+     * Get the current QU price in the configured currency
+     * Returns { price, currency, provider, timestamp, stale } or null when no price is known.
+     * Cached quotes are reused until they expire and kept as a fallback when the provider fails
+     */
+    async getQuote(force = false) {
+        const config = this.getConfig();
+        const provider = this.providers.get(config.provider);
+        if (!provider) return null;
+
+        const key = `${config.provider}:${config.currency}`;
+        const quotes = storage.getPriceQuotes();
+        const cached = quotes[key];
+
+        if (!force && provider.cacheable && cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+            return this.describeQuote(cached, config);
+        }
+
+        try {
+            const quote = await provider.getQuote(config, config.currency);
+
+            if (!quote || !(quote.price > 0)) {
+                return cached ? this.describeQuote(cached, config) : null;
+            }
+
+            quotes[key] = quote;
+            storage.savePriceQuotes(quotes);
+            return this.describeQuote(quote, config);
+        } catch (error) {
+            console.error('Error fetching price:', error);
+            return cached ? this.describeQuote(cached, config) : null;
+        }
+    }
+
+    /**
+     * Attach currency, provider and staleness to a raw quote
+     */
+    describeQuote(quote, config) {
+        return {
+            price: quote.price,
+            timestamp: quote.timestamp,
+            currency: config.currency,
+            provider: config.provider,
+            // Manual prices only change when the user changes them
+            stale: config.provider !== 'manual' && Date.now() - quote.timestamp > this.STALE_AFTER
+        };
+    }
+
+    /**
+     * Price at a point in time from the provider's history (null if it has none)
+     */
+    getHistoricalPrice(timestamp) {
+        const config = this.getConfig();
+        const provider = this.providers.get(config.provider);
+        if (!provider || !provider.getHistory || !timestamp) return null;
+
+        return this.priceAt(provider.getHistory(config, config.currency), timestamp);
+    }
+
+    /**
+     * Set a manual price for a currency
+     */
+    setManualPrice(currency, price) {
+        const config = this.getConfig();
+        config.manualPrices = { ...config.manualPrices, [currency]: { price, updatedAt: Date.now() } };
+        this.saveConfig(config);
+    }
+
+    /**
+     * Store a price series loaded from a file
+     */
+    loadFile(name, text, currency) {
+        const trimmed = text.trim();
+        const prices = trimmed.startsWith('[') || trimmed.startsWith('{')
+            ? this.parseJSON(JSON.parse(trimmed))
+            : this.parseCSV(trimmed);
+
+        if (prices.length === 0) {
+            throw new Error('No prices found in file');
+        }
+
+        storage.savePriceFile({
+            name,
+            currency,
+            loadedAt: Date.now(),
+            prices: prices.map(({ timestamp, price }) => [timestamp, price])
+        });
+
+        return prices.length;
+    }
+
+    /**
+     * Price series from the loaded file, if it is in the given currency
+     */
+    getFileSeries(currency) {
+        const file = storage.getPriceFile();
+        if (!file || file.currency !== currency) return [];
+
+        return file.prices.map(([timestamp, price]) => ({ timestamp, price }));
+    }
+
+    /**
+     * Parse a price CSV ("date,price" per line, header optional)
+     * Dates may be ISO strings, YYYY-MM-DD or unix timestamps in seconds or milliseconds
+     */
+    parseCSV(text) {
+        const prices = [];
+
+        text.split(/\r?\n/).forEach(line => {
+            const [dateField, priceField] = line.split(/[,;\t]/).map(field => (field || '').trim().replace(/^"|"$/g, ''));
+            if (!dateField || !priceField) return;
+
+            const price = parseFloat(priceField);
+            let timestamp = /^\d+$/.test(dateField) ? Number(dateField) : Date.parse(dateField);
+            if (isNaN(price) || isNaN(timestamp)) return;
+
+            // Unix seconds
+            if (timestamp < 1e12) timestamp *= 1000;
+
+            prices.push({ timestamp, price });
+        });
+
+        return prices.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Parse a JSON price series: [[timestamp, price], ...], { prices: [...] } or [{ timestamp, price }]
+     * Timestamps may be unix seconds or milliseconds
+     */
+    parseJSON(data) {
+        const series = Array.isArray(data) ? data : (data.prices || []);
+
+        return series
+            .map(entry => Array.isArray(entry)
+                ? { timestamp: Number(entry[0]), price: Number(entry[1]) }
+                : { timestamp: Number(entry.timestamp) || Date.parse(entry.date), price: Number(entry.price) })
+            .filter(entry => !isNaN(entry.timestamp) && !isNaN(entry.price))
+            .map(entry => entry.timestamp < 1e12 ? { ...entry, timestamp: entry.timestamp * 1000 } : entry)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Price at or before a timestamp in a sorted series (null if the series starts later)
+     */
+    priceAt(prices, timestamp) {
+        let low = 0;
+        let high = prices.length - 1;
+        let found = null;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (prices[mid].timestamp <= timestamp) {
+                found = prices[mid].price;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Read a dot-separated path from a JSON value
+     */
+    readPath(data, path) {
+        return path.split('.').filter(Boolean).reduce((value, key) => (value == null ? undefined : value[key]), data);
+    }
+
+    /**
+     * Fiat value of a QU amount (null without a quote)
+     */
+    toFiat(amount, quote) {
+        return quote ? amount * quote.price : null;
+    }
+
+    /**
+     * Format a fiat value in the quote's currency
+     */
+    format(value, currency) {
+        // QU prices are tiny, so small values keep more significant digits
+        const options = Math.abs(value) < 1 && value !== 0
+            ? { maximumSignificantDigits: 3 }
+            : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency, ...options }).format(value);
+    }
+}
+
+// Create and export singleton instance
+const priceService = new PriceService();
+
+// For compatibility
+window.PriceService = priceService;
@@ -0,0 +1,113 @@
+/**
+ * PWA Module
+ * Registers the service worker, reports new versions and offers installation
+ */
+
+class PWAManager {
+    constructor() {
+        this.registration = null;
+        this.installPrompt = null;
+        this.updateListeners = [];
+        this.installListeners = [];
+    }
+
+    /**
+     * Register the service worker and watch for new versions
+     */
+    async register() {
+        if (!('serviceWorker' in navigator)) return;
+
+        // Capture the browser's install prompt so it can be shown from our own button
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            this.installListeners.forEach(listener => listener(true));
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.installListeners.forEach(listener => listener(false));
+        });
+
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+            return;
+        }
+
+        // A worker already waiting was installed on an earlier visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.notifyUpdate();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.notifyUpdate();
+                }
+            });
+        });
+
+        // Reload once the new worker has taken over
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+    }
+
+    /**
+     * Switch to the waiting version; the page reloads when it takes over
+     */
+    applyUpdate() {
+        if (this.registration && this.registration.waiting) {
+            this.registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+        }
+    }
+
+    /**
+     * Show the browser's install dialog
+     */
+    async promptInstall() {
+        if (!this.installPrompt) return false;
+
+        this.installPrompt.prompt();
+        const { outcome } = await this.installPrompt.userChoice;
+        this.installPrompt = null;
+        this.installListeners.forEach(listener => listener(false));
+
+        return outcome === 'accepted';
+    }
+
+    /**
+     * Call listeners of a new version
+     */
+    notifyUpdate() {
+        this.updateListeners.forEach(listener => listener());
+    }
+
+    /**
+     * Subscribe to new versions becoming ready
+     */
+    onUpdateReady(listener) {
+        this.updateListeners.push(listener);
+    }
+
+    /**
+     * Subscribe to install availability; listener(available)
+     */
+    onInstallAvailable(listener) {
+        this.installListeners.push(listener);
+    }
+}
+
+// Create and export singleton instance
+const pwaManager = new PWAManager();
+
+// For compatibility
+window.PWAManager = pwaManager;
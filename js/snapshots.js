@@ -0,0 +1,110 @@
+/**
+ * Snapshot Store Module
+ * Records balance and asset snapshots over time, downsampling older data
+ */
+
+class SnapshotStore {
+    constructor() {
+        const MINUTE = 60 * 1000;
+        const HOUR = 60 * MINUTE;
+        const DAY = 24 * HOUR;
+
+        // Snapshots younger than maxAge are kept at most once per interval
+        this.RESOLUTIONS = [
+            { maxAge: DAY, interval: 15 * MINUTE },
+            { maxAge: 30 * DAY, interval: HOUR },
+            { maxAge: Infinity, interval: DAY }
+        ];
+
+        this.RANGES = {
+            '7d': 7 * DAY,
+            '30d': 30 * DAY,
+            '90d': 90 * DAY,
+            'all': Infinity
+        };
+    }
+
+    /**
+     * Key of an asset in a snapshot; names are only unique per issuer
+     */
+    getAssetKey(asset) {
+        return `${asset.issuer}:${asset.name}`;
+    }
+
+    /**
+     * Record a snapshot of balance and asset units
+     */
+    record(key, { tick, balance, assets }, time = Date.now()) {
+        if (!key) return;
+
+        const units = {};
+        (assets || []).forEach(asset => {
+            units[this.getAssetKey(asset)] = asset.amount;
+        });
+
+        const all = storage.getSnapshots();
+        const series = all[key] || [];
+
+        // Stored compactly as [time, tick, balance, { asset: units }]
+        series.push([time, tick || 0, balance || 0, units]);
+        all[key] = this.downsample(series, time);
+
+        storage.saveSnapshots(all);
+    }
+
+    /**
+     * Keep the latest snapshot in each time bucket, with coarser buckets for older data
+     */
+    downsample(series, now = Date.now()) {
+        const kept = [];
+        const buckets = new Set();
+
+        for (let i = series.length - 1; i >= 0; i--) {
+            const time = series[i][0];
+            const { interval } = this.RESOLUTIONS.find(resolution => now - time < resolution.maxAge);
+            const bucket = `${interval}:${Math.floor(time / interval)}`;
+
+            if (buckets.has(bucket)) continue;
+
+            buckets.add(bucket);
+            kept.unshift(series[i]);
+        }
+
+        return kept;
+    }
+
+    /**
+     * Get snapshots within a range ('7d', '30d', '90d' or 'all'), oldest first
+     * Assets are keyed as issuer:name (see getAssetKey)
+     */
+    getSnapshots(key, range = 'all') {
+        const series = storage.getSnapshots()[key] || [];
+        const since = Date.now() - (this.RANGES[range] || Infinity);
+
+        return series
+            .filter(([time]) => time >= since)
+            .map(([timestamp, tick, balance, assets]) => ({ timestamp, tick, balance, assets }));
+    }
+
+    /**
+     * Remove snapshots of one key
+     */
+    clear(key) {
+        const all = storage.getSnapshots();
+        delete all[key];
+        storage.saveSnapshots(all);
+    }
+
+    /**
+     * Remove all snapshots
+     */
+    clearAll() {
+        storage.saveSnapshots({});
+    }
+}
+
+// Create and export singleton instance
+const snapshotStore = new SnapshotStore();
+
+// For compatibility
+window.SnapshotStore = snapshotStore;
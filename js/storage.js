@@ -5,12 +5,21 @@
 
 class StorageManager {
     constructor() {
-        this.STORAGE_PREFIX = 'qubic_tracker_';
+        // Fixture mode keeps its own data so mock responses never mix with real history
+        this.STORAGE_PREFIX = endpointManager.isFixtureMode() ? 'qubic_tracker_fixtures_' : 'qubic_tracker_';
         this.WALLETS_KEY = `${this.STORAGE_PREFIX}wallets`;
         this.CACHE_KEY = `${this.STORAGE_PREFIX}cache`;
         this.SETTINGS_KEY = `${this.STORAGE_PREFIX}settings`;
-        this.MAX_WALLETS = 10;
-        this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+        this.TICK_TIMES_KEY = `${this.STORAGE_PREFIX}tick_times`;
+        this.SNAPSHOTS_KEY = `${this.STORAGE_PREFIX}snapshots`;
+        this.PRICE_QUOTES_KEY = `${this.STORAGE_PREFIX}price_quotes`;
+        this.PRICE_FILE_KEY = `${this.STORAGE_PREFIX}price_file`;
+        this.ASSET_REGISTRY_KEY = `${this.STORAGE_PREFIX}asset_registry`;
+        this.ASSET_OVERRIDES_KEY = `${this.STORAGE_PREFIX}asset_overrides`;
+        this.ALERT_HISTORY_KEY = `${this.STORAGE_PREFIX}alert_history`;
+        this.ADDRESS_BOOK_KEY = `${this.STORAGE_PREFIX}address_book`;
+        this.MAX_WALLETS = 10; // Unpinned wallets only; pinned wallets are never evicted
+        this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes; older entries are kept as last-known data for offline use
     }
 
     /**
@@ -35,19 +44,22 @@ class StorageManager {
         }
 
         const wallets = this.getWallets();
+        const existing = wallets.find(w => w.address === address);
         
         // Remove if already exists (to update timestamp)
         const filtered = wallets.filter(w => w.address !== address);
         
-        // Add to beginning
+        // Add to beginning, keeping any labels already set
         filtered.unshift({
-            address: address,
             addedAt: new Date().toISOString(),
+            ...existing,
+            address: address,
             lastAccessed: new Date().toISOString()
         });
         
-        // Keep only MAX_WALLETS
-        const trimmed = filtered.slice(0, this.MAX_WALLETS);
+        // Keep only MAX_WALLETS unpinned wallets
+        let unpinnedCount = 0;
+        const trimmed = filtered.filter(w => w.pinned || ++unpinnedCount <= this.MAX_WALLETS);
         
         try {
             localStorage.setItem(this.WALLETS_KEY, JSON.stringify(trimmed));
@@ -75,6 +87,75 @@ class StorageManager {
         }
     }
 
+    /**
+     * Get a saved wallet entry
+     */
+    getWallet(address) {
+        return this.getWallets().find(w => w.address === address) || null;
+    }
+
+    /**
+     * Update wallet labels (name, color, group)
+     */
+    updateWalletLabels(address, labels) {
+        const wallets = this.getWallets();
+        const wallet = wallets.find(w => w.address === address);
+        if (!wallet) return false;
+
+        ['name', 'color', 'group'].forEach(field => {
+            if (labels[field] === undefined) return;
+
+            const value = typeof labels[field] === 'string' ? labels[field].trim() : '';
+            if (value) {
+                wallet[field] = value;
+            } else {
+                delete wallet[field];
+            }
+        });
+
+        try {
+            localStorage.setItem(this.WALLETS_KEY, JSON.stringify(wallets));
+            return true;
+        } catch (error) {
+            console.error('Error updating wallet labels:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Pin or unpin a wallet
+     */
+    setWalletPinned(address, pinned) {
+        const wallets = this.getWallets();
+        const wallet = wallets.find(w => w.address === address);
+        if (!wallet) return false;
+
+        if (pinned) {
+            wallet.pinned = true;
+        } else {
+            delete wallet.pinned;
+        }
+
+        try {
+            localStorage.setItem(this.WALLETS_KEY, JSON.stringify(wallets));
+            return true;
+        } catch (error) {
+            console.error('Error pinning wallet:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get all wallet group names
+     */
+    getWalletGroups() {
+        const groups = this.getWallets()
+            .map(w => w.group)
+            .filter(Boolean);
+
+        return [...new Set(groups)].sort();
+    }
+
     /**
      * Remove a wallet from history
      */
@@ -123,27 +204,36 @@ class StorageManager {
     }
 
     /**
-     * Get cached portfolio data
+     * Get cached portfolio data if it is still fresh
      */
     getCachedPortfolioData(wallet) {
+        const cached = this.getLastKnownPortfolioData(wallet);
+
+        if (cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
+            return cached.data;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the last portfolio data loaded for a wallet, however old
+     * Returns { data, timestamp } or null
+     */
+    getLastKnownPortfolioData(wallet) {
+        return this.getCache()[wallet] || null;
+    }
+
+    /**
+     * Remove a wallet's cached portfolio data
+     */
+    removeCachedPortfolioData(wallet) {
         try {
             const cache = this.getCache();
-            const cached = cache[wallet];
-            
-            if (cached && Date.now() - cached.timestamp < this.CACHE_DURATION) {
-                return cached.data;
-            }
-            
-            // Remove expired cache
-            if (cached) {
-                delete cache[wallet];
-                localStorage.setItem(this.CACHE_KEY, JSON.stringify(cache));
-            }
-            
-            return null;
+            delete cache[wallet];
+            localStorage.setItem(this.CACHE_KEY, JSON.stringify(cache));
         } catch (error) {
-            console.error('Error reading cached data:', error);
-            return null;
+            console.error('Error removing cached data:', error);
         }
     }
 
@@ -173,6 +263,214 @@ class StorageManager {
         }
     }
 
+    /**
+     * Get known tick timestamps ({ tick: milliseconds })
+     */
+    getTickTimestamps() {
+        try {
+            const data = localStorage.getItem(this.TICK_TIMES_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Error reading tick timestamps:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save known tick timestamps
+     */
+    saveTickTimestamps(tickTimestamps) {
+        try {
+            localStorage.setItem(this.TICK_TIMES_KEY, JSON.stringify(tickTimestamps));
+            return true;
+        } catch (error) {
+            console.error('Error saving tick timestamps:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get recorded snapshots ({ key: [[time, tick, balance, assets], ...] })
+     */
+    getSnapshots() {
+        try {
+            const data = localStorage.getItem(this.SNAPSHOTS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Error reading snapshots:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save recorded snapshots
+     */
+    saveSnapshots(snapshots) {
+        try {
+            localStorage.setItem(this.SNAPSHOTS_KEY, JSON.stringify(snapshots));
+            return true;
+        } catch (error) {
+            console.error('Error saving snapshots:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get cached price quotes ({ 'provider:currency': quote })
+     */
+    getPriceQuotes() {
+        try {
+            const data = localStorage.getItem(this.PRICE_QUOTES_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Error reading price quotes:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save cached price quotes
+     */
+    savePriceQuotes(quotes) {
+        try {
+            localStorage.setItem(this.PRICE_QUOTES_KEY, JSON.stringify(quotes));
+            return true;
+        } catch (error) {
+            console.error('Error saving price quotes:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the price series loaded from a local file
+     */
+    getPriceFile() {
+        try {
+            const data = localStorage.getItem(this.PRICE_FILE_KEY);
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error('Error reading price file:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the price series loaded from a local file
+     */
+    savePriceFile(priceFile) {
+        try {
+            localStorage.setItem(this.PRICE_FILE_KEY, JSON.stringify(priceFile));
+            return true;
+        } catch (error) {
+            console.error('Error saving price file:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the cached asset registry ({ fetchedAt, issuances, supplies })
+     */
+    getAssetRegistry() {
+        try {
+            const data = localStorage.getItem(this.ASSET_REGISTRY_KEY);
+            return data ? JSON.parse(data) : { fetchedAt: 0, issuances: {}, supplies: {} };
+        } catch (error) {
+            console.error('Error reading asset registry:', error);
+            return { fetchedAt: 0, issuances: {}, supplies: {} };
+        }
+    }
+
+    /**
+     * Save the cached asset registry
+     */
+    saveAssetRegistry(registry) {
+        try {
+            localStorage.setItem(this.ASSET_REGISTRY_KEY, JSON.stringify(registry));
+            return true;
+        } catch (error) {
+            console.error('Error saving asset registry:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get user overrides of asset metadata ({ 'issuer:name': fields })
+     */
+    getAssetOverrides() {
+        try {
+            const data = localStorage.getItem(this.ASSET_OVERRIDES_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Error reading asset overrides:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save user overrides of asset metadata
+     */
+    saveAssetOverrides(overrides) {
+        try {
+            localStorage.setItem(this.ASSET_OVERRIDES_KEY, JSON.stringify(overrides));
+            return true;
+        } catch (error) {
+            console.error('Error saving asset overrides:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get alerts that have fired, newest first
+     */
+    getAlertHistory() {
+        try {
+            const data = localStorage.getItem(this.ALERT_HISTORY_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (error) {
+            console.error('Error reading alert history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the alert history
+     */
+    saveAlertHistory(history) {
+        try {
+            localStorage.setItem(this.ALERT_HISTORY_KEY, JSON.stringify(history));
+            return true;
+        } catch (error) {
+            console.error('Error saving alert history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get address book entries ({ identity: { name, category } })
+     */
+    getAddressBook() {
+        try {
+            const data = localStorage.getItem(this.ADDRESS_BOOK_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (error) {
+            console.error('Error reading address book:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save address book entries
+     */
+    saveAddressBook(entries) {
+        try {
+            localStorage.setItem(this.ADDRESS_BOOK_KEY, JSON.stringify(entries));
+            return true;
+        } catch (error) {
+            console.error('Error saving address book:', error);
+            return false;
+        }
+    }
+
     /**
      * Get settings
      */
@@ -249,6 +547,7 @@ class StorageManager {
         const data = {
             wallets: this.getWallets(),
             settings: this.getSettings(),
+            addressBook: this.getAddressBook(),
             exportedAt: new Date().toISOString(),
             version: '1.0'
         };
@@ -258,24 +557,60 @@ class StorageManager {
 
     /**
      * Import data
+     * Returns { success, imported, errors, skippedAddresses } where errors lists each rejected wallet as { address, error }
+     * and skippedAddresses counts address book entries dropped for an invalid identity or a missing name
      */
     importData(jsonString) {
+        const result = { success: false, imported: 0, errors: [], skippedAddresses: 0 };
+
         try {
             const data = JSON.parse(jsonString);
             
             if (data.wallets && Array.isArray(data.wallets)) {
-                localStorage.setItem(this.WALLETS_KEY, JSON.stringify(data.wallets));
+                const wallets = [];
+                data.wallets.forEach(wallet => {
+                    const address = wallet && wallet.address;
+                    const validation = identityValidator.validate(address);
+                    if (!validation.valid) {
+                        result.errors.push({ address: typeof address === 'string' ? address : '', error: validation.error });
+                        return;
+                    }
+
+                    // Store the normalized identity so it matches the same wallet added by hand
+                    if (!wallets.some(w => w.address === validation.identity)) {
+                        wallets.push({ ...wallet, address: validation.identity });
+                    }
+                });
+                localStorage.setItem(this.WALLETS_KEY, JSON.stringify(wallets));
+                result.imported = wallets.length;
             }
             
             if (data.settings) {
                 localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(data.settings));
             }
+
+            if (data.addressBook && typeof data.addressBook === 'object') {
+                const entries = {};
+                Object.entries(data.addressBook).forEach(([identity, entry]) => {
+                    const validation = identityValidator.validate(identity);
+                    const name = entry && typeof entry.name === 'string' ? entry.name.trim() : '';
+
+                    if (!validation.valid || !name) {
+                        result.skippedAddresses++;
+                        return;
+                    }
+
+                    entries[validation.identity] = { name, category: typeof entry.category === 'string' ? entry.category : 'other' };
+                });
+                this.saveAddressBook(entries);
+            }
             
-            return true;
+            result.success = true;
         } catch (error) {
             console.error('Error importing data:', error);
-            return false;
         }
+
+        return result;
     }
 }
 
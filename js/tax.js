@@ -0,0 +1,174 @@
+/**
+ * Tax Report Module
+ * Assigns cost basis to QU disposals (FIFO, LIFO or HIFO) and summarizes gains per year
+ */
+
+class TaxReport {
+    constructor() {
+        this.METHODS = ['fifo', 'lifo', 'hifo'];
+    }
+
+    /**
+     * Build a yearly tax report
+     * transactions: merged transfers of all own wallets (moves between them have type 'internal')
+     * prices: [{ timestamp, price }] sorted by time, price per QU
+     * options: { method, incomingAs: 'income' | 'purchase', openingBalance, openingTimestamp }
+     */
+    generate(transactions, prices, options = {}) {
+        const method = this.METHODS.includes(options.method) ? options.method : 'fifo';
+        const incomingAs = options.incomingAs === 'purchase' ? 'purchase' : 'income';
+        const warnings = [];
+        const years = new Map();
+        let lots = [];
+
+        const getYear = (timestamp) => {
+            const year = new Date(timestamp).getUTCFullYear();
+            if (!years.has(year)) {
+                years.set(year, { year, income: 0, proceeds: 0, costBasis: 0, realizedGain: 0, disposals: [], acquisitions: 0 });
+            }
+            return years.get(year);
+        };
+
+        // Units held before the first known transfer have an unknown cost basis
+        if (options.openingBalance > 0) {
+            lots.push({ units: options.openingBalance, costPerUnit: 0, acquiredAt: options.openingTimestamp || 0, id: 'opening' });
+            warnings.push(`${options.openingBalance.toLocaleString()} QU held before the first known transfer are given a cost basis of 0`);
+        }
+
+        const events = transactions
+            .filter(tx => tx.moneyFlew !== false && tx.type !== 'internal')
+            .sort((a, b) => a.tick - b.tick);
+
+        let missingTimestamps = 0;
+        let missingPrices = 0;
+
+        events.forEach(tx => {
+            if (!tx.timestamp) {
+                missingTimestamps++;
+                return;
+            }
+
+            const price = priceService.priceAt(prices, tx.timestamp);
+            if (price === null) missingPrices++;
+            const unitPrice = price || 0;
+            const year = getYear(tx.timestamp);
+
+            if (tx.type === 'incoming') {
+                lots.push({ units: tx.amount, costPerUnit: unitPrice, acquiredAt: tx.timestamp, id: tx.id });
+                year.acquisitions += tx.amount;
+                if (incomingAs === 'income') {
+                    year.income += tx.amount * unitPrice;
+                }
+            } else {
+                // Outgoing transfer: dispose of units at market value
+                const { matched, remaining, uncovered } = this.matchLots(lots, tx.amount, method);
+                lots = remaining;
+
+                const proceeds = tx.amount * unitPrice;
+                const costBasis = matched.reduce((sum, lot) => sum + lot.units * lot.costPerUnit, 0);
+
+                year.proceeds += proceeds;
+                year.costBasis += costBasis;
+                year.realizedGain += proceeds - costBasis;
+                year.disposals.push({
+                    id: tx.id,
+                    timestamp: tx.timestamp,
+                    units: tx.amount,
+                    price: unitPrice,
+                    proceeds,
+                    costBasis,
+                    gain: proceeds - costBasis,
+                    lots: matched
+                });
+
+                if (uncovered > 0) {
+                    warnings.push(`Transfer ${tx.id} sent ${uncovered.toLocaleString()} QU more than the known holdings; that part has a cost basis of 0`);
+                }
+            }
+
+            // Events are replayed in order, so the position after a year's last event is its closing position
+            Object.assign(year, this.getPosition(lots));
+        });
+
+        if (missingTimestamps > 0) {
+            warnings.push(`${missingTimestamps} transfers without a date were skipped`);
+        }
+        if (missingPrices > 0) {
+            warnings.push(`${missingPrices} transfers have no price at or before their date and were valued at 0`);
+        }
+
+        const sortedYears = Array.from(years.values()).sort((a, b) => a.year - b.year);
+        return { method, incomingAs, years: sortedYears, openLots: lots, position: this.getPosition(lots), warnings };
+    }
+
+    /**
+     * Take units from lots in method order
+     * Returns { matched: [{ units, costPerUnit, acquiredAt }], remaining, uncovered }
+     */
+    matchLots(lots, units, method) {
+        const ordered = [...lots].sort((a, b) => {
+            if (method === 'lifo') return b.acquiredAt - a.acquiredAt;
+            if (method === 'hifo') return b.costPerUnit - a.costPerUnit;
+            return a.acquiredAt - b.acquiredAt;
+        });
+
+        const matched = [];
+        let needed = units;
+
+        for (const lot of ordered) {
+            if (needed <= 0) break;
+
+            const take = Math.min(lot.units, needed);
+            matched.push({ units: take, costPerUnit: lot.costPerUnit, acquiredAt: lot.acquiredAt });
+            lot.units -= take;
+            needed -= take;
+        }
+
+        return {
+            matched,
+            remaining: ordered.filter(lot => lot.units > 0),
+            uncovered: needed
+        };
+    }
+
+    /**
+     * Units held and their remaining cost basis
+     */
+    getPosition(lots) {
+        return lots.reduce((position, lot) => ({
+            closingUnits: position.closingUnits + lot.units,
+            closingCostBasis: position.closingCostBasis + lot.units * lot.costPerUnit
+        }), { closingUnits: 0, closingCostBasis: 0 });
+    }
+
+    /**
+     * Disposals of a report as CSV
+     */
+    toCSV(report) {
+        const header = ['year', 'date', 'tx_id', 'units_qu', 'price', 'proceeds', 'cost_basis', 'gain'];
+        const rows = [];
+
+        report.years.forEach(year => {
+            year.disposals.forEach(disposal => {
+                rows.push([
+                    year.year,
+                    new Date(disposal.timestamp).toISOString(),
+                    disposal.id,
+                    disposal.units,
+                    disposal.price,
+                    disposal.proceeds.toFixed(2),
+                    disposal.costBasis.toFixed(2),
+                    disposal.gain.toFixed(2)
+                ]);
+            });
+        });
+
+        return transactionExporter.buildCSV(header, rows);
+    }
+}
+
+// Create and export singleton instance
+const taxReport = new TaxReport();
+
+// For compatibility
+window.TaxReport = taxReport;
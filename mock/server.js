@@ -0,0 +1,347 @@
+/**
+ * Mock RPC Server
+ * Serves recorded RPC responses from fixture files so the tracker can run without network access.
+ * Only Node built-ins are used, so it needs no install step.
+ *
+ *   node mock/server.js                  Serve fixtures on http://localhost:8787
+ *   node mock/server.js --record         Proxy to the live RPC and save every response as a fixture
+ *   node mock/server.js --port 9000 --fixtures ./my-fixtures --upstream https://rpc.qubic.org
+ *   node mock/server.js --freeze         Keep the tick from the status fixture instead of advancing it
+ *   node mock/server.js --quiet          Log nothing
+ *
+ * Open the tracker with ?rpc=mock (or ?rpc=http://localhost:9000) to use it.
+ * The tests start it in-process through the exported start().
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_UPSTREAM = 'https://rpc.qubic.org';
+const QX_TRADES_UPSTREAM = 'https://api.qx.qubic.org';
+const IDENTITY_PATTERN = /^[A-Z]{60}$/;
+const TICK_PATTERN = /^\d+$/;
+const TRANSACTION_PATTERN = /^[a-z]{60}$/;
+const TRANSFERS_PATH = /^\/v2\/identities\/[A-Z]{60}\/transfers$/;
+const TRANSACTION_PATH = /^\/v2\/transactions\/[a-z]{60}$/;
+const TICK_DURATION = 1000; // The served tick advances once per second
+
+/**
+ * Read command line options
+ */
+function parseArgs(argv) {
+    const options = {
+        port: DEFAULT_PORT,
+        fixtures: path.join(__dirname, 'fixtures'),
+        upstream: DEFAULT_UPSTREAM,
+        record: false,
+        freeze: false,
+        quiet: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                options.port = parseInt(argv[++i]) || DEFAULT_PORT;
+                break;
+            case '--fixtures':
+                options.fixtures = path.resolve(argv[++i]);
+                break;
+            case '--upstream':
+                options.upstream = argv[++i].replace(/\/+$/, '');
+                break;
+            case '--record':
+                options.record = true;
+                break;
+            case '--freeze':
+                options.freeze = true;
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            default:
+                console.error(`Unknown option: ${argv[i]}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Fixture file name for a request; the query string, if any, is part of the name
+ * e.g. /v2/identities/ABC/transfers?page=1 -> v2/identities/ABC/transfers__page-1.json
+ */
+function getFixtureName(pathname, searchParams) {
+    const query = Array.from(searchParams.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}-${value}`)
+        .join('_')
+        .replace(/[^A-Za-z0-9._-]/g, '_');
+
+    return `${pathname.replace(/^\/+|\/+$/g, '')}${query ? `__${query}` : ''}.json`;
+}
+
+/**
+ * Fixture names to try for a request, most specific first.
+ * Identity, tick and transaction id path segments fall back to _identity, _tick and
+ * _transaction templates, and the asset name in QX paths to _asset, so any wallet
+ * can be opened against the bundled fixtures
+ */
+function getCandidates(url) {
+    const segments = url.pathname.split('/');
+    const generic = segments
+        .map((segment, index) => {
+            if (IDENTITY_PATTERN.test(segment)) return '_identity';
+            if (TICK_PATTERN.test(segment)) return '_tick';
+            if (TRANSACTION_PATTERN.test(segment)) return '_transaction';
+            if (segments[index - 1] === 'asset') return '_asset';
+            return segment;
+        })
+        .join('/');
+
+    const names = [
+        getFixtureName(url.pathname, url.searchParams),
+        getFixtureName(url.pathname, new URLSearchParams()),
+        getFixtureName(generic, url.searchParams),
+        getFixtureName(generic, new URLSearchParams())
+    ];
+
+    return [...new Set(names)];
+}
+
+/**
+ * Fill template placeholders: {{identity}}, {{tick}}, {{transactionId}} and {{asset}} from the
+ * request path, {{tickTime}} with the time the served clock gives that tick.
+ * Paths without an identity (e.g. a transaction lookup) use the last identity requested
+ */
+function fillTemplate(text, url, clock, state) {
+    const segments = url.pathname.split('/');
+    const identity = segments.find(segment => IDENTITY_PATTERN.test(segment)) || state.identity;
+    const tick = segments.find(segment => TICK_PATTERN.test(segment));
+    const transactionId = segments.find(segment => TRANSACTION_PATTERN.test(segment)) || '';
+    const asset = segments[segments.indexOf('asset') + 1] || '';
+
+    return text
+        .replace(/\{\{identity\}\}/g, identity)
+        .replace(/\{\{tick\}\}/g, tick || '0')
+        .replace(/\{\{transactionId\}\}/g, transactionId)
+        .replace(/\{\{asset\}\}/g, asset)
+        .replace(/\{\{tickTime\}\}/g, tick ? clock.getTickTime(Number(tick)) : new Date().toISOString());
+}
+
+/**
+ * Tick clock anchored to the status fixture when the server starts
+ */
+function createClock(options) {
+    const startedAt = Date.now();
+    let startTick = null;
+
+    return {
+        getTick(fixtureTick) {
+            if (startTick === null) startTick = fixtureTick;
+            if (options.freeze) return fixtureTick;
+            return startTick + Math.floor((Date.now() - startedAt) / TICK_DURATION);
+        },
+
+        getTickTime(tick) {
+            const anchor = startTick === null ? tick : startTick;
+            return new Date(startedAt + (tick - anchor) * TICK_DURATION).toISOString();
+        }
+    };
+}
+
+/**
+ * Apply the transfers query to a fixture holding the whole history: keep the ticks between
+ * startTick and endTick, order them by desc and cut out the requested page of transfers
+ */
+function paginateTransfers(body, searchParams) {
+    const startTick = parseInt(searchParams.get('startTick')) || 0;
+    const endTick = parseInt(searchParams.get('endTick')) || Infinity;
+    const pageSize = parseInt(searchParams.get('pageSize')) || 100;
+    const page = Math.max(1, parseInt(searchParams.get('page')) || 1);
+    const direction = searchParams.get('desc') === 'false' ? 1 : -1;
+
+    const transfers = body.transactions
+        .filter(group => group.tickNumber >= startTick && group.tickNumber <= endTick)
+        .sort((a, b) => (a.tickNumber - b.tickNumber) * direction)
+        .flatMap(group => group.transactions.map(transfer => ({ group, transfer })));
+
+    const totalPages = Math.ceil(transfers.length / pageSize);
+    const groups = [];
+
+    transfers.slice((page - 1) * pageSize, page * pageSize).forEach(({ group, transfer }) => {
+        const last = groups[groups.length - 1];
+        if (last && last.tickNumber === group.tickNumber) {
+            last.transactions.push(transfer);
+        } else {
+            groups.push({ ...group, transactions: [transfer] });
+        }
+    });
+
+    return {
+        ...body,
+        transactions: groups,
+        pagination: {
+            totalRecords: transfers.length,
+            currentPage: page,
+            totalPages,
+            pageSize,
+            nextPage: page < totalPages ? page + 1 : -1,
+            previousPage: page > 1 ? page - 1 : -1
+        }
+    };
+}
+
+/**
+ * Transfer with the given id from the transfers served so far, as a transaction lookup returns it
+ */
+function findServedTransaction(url, state) {
+    const transactionId = url.pathname.split('/').pop();
+    return state.transactions.get(transactionId) || null;
+}
+
+/**
+ * Log a request unless running quietly
+ */
+function log(options, message) {
+    if (!options.quiet) console.log(message);
+}
+
+/**
+ * Send a JSON response with CORS headers (the app is served from another origin)
+ */
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': '*'
+    });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Answer a request from the fixture files
+ */
+function serveFixture(url, res, options, clock, state) {
+    const identity = url.pathname.split('/').find(segment => IDENTITY_PATTERN.test(segment));
+    if (identity && TRANSFERS_PATH.test(url.pathname)) state.identity = identity;
+
+    // Transactions the app has seen in a transfers list are looked up as they were listed
+    if (TRANSACTION_PATH.test(url.pathname)) {
+        const transaction = findServedTransaction(url, state);
+        if (transaction) {
+            log(options, `200 ${url.pathname}${url.search} <- served transfers`);
+            send(res, 200, transaction);
+            return;
+        }
+    }
+
+    for (const name of getCandidates(url)) {
+        const file = path.join(options.fixtures, name);
+        if (!file.startsWith(options.fixtures) || !fs.existsSync(file)) continue;
+
+        let body = JSON.parse(fillTemplate(fs.readFileSync(file, 'utf8'), url, clock, state));
+
+        // A fixture without the query in its name holds the whole history, not just this page
+        if (TRANSFERS_PATH.test(url.pathname) && !name.includes('__') && Array.isArray(body.transactions)) {
+            body = paginateTransfers(body, url.searchParams);
+        }
+
+        if (TRANSFERS_PATH.test(url.pathname) && Array.isArray(body.transactions)) {
+            body.transactions.forEach(group => (group.transactions || []).forEach(transfer => {
+                if (transfer.transaction && transfer.transaction.txId) {
+                    state.transactions.set(transfer.transaction.txId, transfer);
+                }
+            }));
+        }
+
+        // Keep the network moving so the app's health checks see a live node
+        if (url.pathname === '/v1/status' && body.lastProcessedTick) {
+            const tick = clock.getTick(body.lastProcessedTick.tickNumber);
+            body.lastProcessedTick.tickNumber = tick;
+            body.lastProcessedTick.timestamp = clock.getTickTime(tick);
+        }
+
+        log(options, `200 ${url.pathname}${url.search} <- ${name}`);
+        send(res, 200, body);
+        return;
+    }
+
+    log(options, `404 ${url.pathname}${url.search} (no fixture)`);
+    send(res, 404, { code: 5, message: `No fixture for ${url.pathname}` });
+}
+
+/**
+ * Forward a request to the live service and save a successful response as a fixture
+ */
+async function recordFixture(url, res, options) {
+    const upstream = url.pathname.startsWith('/v1/qx/issuer/') ? QX_TRADES_UPSTREAM : options.upstream;
+
+    try {
+        const response = await fetch(`${upstream}${url.pathname}${url.search}`, {
+            headers: { 'Accept': 'application/json' }
+        });
+        const text = await response.text();
+
+        if (response.ok) {
+            const name = getFixtureName(url.pathname, url.searchParams);
+            const file = path.join(options.fixtures, name);
+
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, `${JSON.stringify(JSON.parse(text), null, 2)}\n`);
+            log(options, `${response.status} ${url.pathname}${url.search} -> ${name}`);
+        } else {
+            log(options, `${response.status} ${url.pathname}${url.search} (not recorded)`);
+        }
+
+        send(res, response.status, text);
+    } catch (error) {
+        console.error(`Error recording ${url.pathname}:`, error.message);
+        send(res, 502, { code: 14, message: error.message });
+    }
+}
+
+/**
+ * Start the server; resolves with the http.Server once it listens (port 0 picks a free port)
+ */
+function start(options) {
+    const clock = createClock(options);
+    // Last wallet whose transfers were requested, and every transfer served, by id
+    const state = { identity: '', transactions: new Map() };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://localhost:${options.port}`);
+
+        if (req.method === 'OPTIONS') {
+            send(res, 204, '');
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            send(res, 405, { code: 12, message: 'Only GET requests are supported' });
+            return;
+        }
+
+        if (options.record) {
+            recordFixture(url, res, options);
+        } else {
+            serveFixture(url, res, options, clock, state);
+        }
+    });
+
+    return new Promise(resolve => {
+        server.listen(options.port, () => {
+            const mode = options.record ? `recording from ${options.upstream}` : 'serving fixtures';
+            log(options, `Mock RPC ${mode} on http://localhost:${server.address().port} (${options.fixtures})`);
+            resolve(server);
+        });
+    });
+}
+
+if (require.main === module) {
+    start(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { parseArgs, start };
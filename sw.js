@@ -0,0 +1,84 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the tracker starts without a network connection.
+ * RPC and price requests are not intercepted; the app caches their data itself.
+ */
+
+// Replaced with the commit hash on deploy, so every release installs as a new version
+const VERSION = 'dev';
+const CACHE_PREFIX = 'qubic-tracker-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './css/styles.css',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './js/identity.js',
+    './js/endpoints.js',
+    './js/storage.js',
+    './js/api.js',
+    './js/assets.js',
+    './js/decoder.js',
+    './js/addressbook.js',
+    './js/ledger.js',
+    './js/snapshots.js',
+    './js/balance.js',
+    './js/prices.js',
+    './js/charts.js',
+    './js/export.js',
+    './js/tax.js',
+    './js/alerts.js',
+    './js/pwa.js',
+    './js/app.js',
+    './js/vendor/chart.umd.js'
+];
+
+self.addEventListener('install', event => {
+    // cache: 'reload' skips the HTTP cache so a new version never precaches old files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(
+            PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Pages are opened with query parameters (?wallet=...), which all share the cached shell.
+    // The shell is served from the cache even when online, so it always matches the cached scripts
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,223 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, startMockServer, jsonResponse } = require('./helpers');
+
+describe('QubicAPI', () => {
+    let server;
+    let window;
+    let api;
+    let wallet;
+
+    before(async () => {
+        server = await startMockServer();
+        window = loadScripts(['identity', 'endpoints', 'storage', 'api'], {
+            search: `?rpc=${encodeURIComponent(server.url)}`
+        });
+        api = window.QubicAPI;
+        wallet = window.IdentityValidator.encodePublicKey(new Uint8Array(32).fill(7));
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        mock.restoreAll();
+        // Failures under test are logged by the module; keep the output readable
+        mock.method(console, 'error', () => {});
+        api.clearCache();
+        api.retryDelay = 5;
+        window.localStorage.clear();
+    });
+
+    describe('getAssets', () => {
+        it('combines owned and possessed units per asset', async () => {
+            const assets = await api.getAssets(wallet);
+            const cfb = assets.find(asset => asset.name === 'CFB');
+            const qx = assets.find(asset => asset.name === 'QX');
+
+            assert.equal(assets.length, 2);
+            assert.equal(cfb.issuer, 'CFBMEMZOIDEXQAUXYYSZIURADQLAPWPMNJXQSNVQZAHYVOPYUKKJBJUCTVJL');
+            assert.equal(cfb.amount, 1000000);
+            assert.equal(cfb.possessedUnits, 750000);
+            assert.equal(cfb.lockedUnits, 250000);
+            assert.equal(cfb.transferableUnits, 750000);
+            assert.deepEqual(cfb.positions.map(position => position.contract), ['QX']);
+            assert.equal(qx.amount, 3);
+            assert.equal(qx.lockedUnits, 0);
+        });
+
+        it('skips malformed records and possessions held for another owner', async () => {
+            mock.method(global, 'fetch', async url => jsonResponse(url.endsWith('/owned')
+                ? {
+                    ownedAssets: [
+                        null,
+                        {},
+                        { data: { numberOfUnits: '5' } },
+                        { data: { numberOfUnits: '10', issuedAsset: { name: 'TEST', issuerIdentity: wallet } } }
+                    ]
+                }
+                : {
+                    possessedAssets: [
+                        { data: { numberOfUnits: '4', ownedAsset: { ownerIdentity: 'SOMEONEELSE', issuedAsset: { name: 'TEST', issuerIdentity: wallet } } } }
+                    ]
+                }));
+
+            const assets = await api.getAssets(wallet);
+
+            assert.equal(assets.length, 1);
+            assert.equal(assets[0].amount, 10);
+            assert.equal(assets[0].possessedUnits, 0);
+            assert.equal(assets[0].positions[0].contract, 'Contract #0');
+        });
+
+        it('returns no assets for responses without asset lists', async () => {
+            mock.method(global, 'fetch', async () => jsonResponse({ unexpected: true }));
+
+            assert.deepEqual(await api.getAssets(wallet), []);
+        });
+    });
+
+    describe('getTransactions', () => {
+        it('parses every fixture transfer, newest first', async () => {
+            const transactions = await api.getTransactions(wallet);
+
+            assert.equal(transactions.length, 6);
+            assert.deepEqual(transactions.map(tx => tx.tick), [18498500, 18497500, 18496000, 18494000, 18491000, 18488000]);
+            assert.deepEqual(transactions.map(tx => tx.type), ['outgoing', 'outgoing', 'incoming', 'outgoing', 'incoming', 'incoming']);
+
+            const [transfer] = transactions;
+            assert.equal(transfer.id, 'mocktxafaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa');
+            assert.equal(transfer.sourceId, wallet);
+            assert.equal(transfer.amount, 100);
+            assert.equal(transfer.inputType, 2);
+            assert.equal(transfer.moneyFlew, true);
+            assert.equal(transfer.timestamp, null);
+        });
+
+        it('pages through the history', async () => {
+            const page = await api.getTransactionsPage(wallet, { page: 2, pageSize: 2 });
+
+            assert.deepEqual(page.transactions.map(tx => tx.tick), [18496000, 18494000]);
+            assert.equal(page.totalRecords, 6);
+            assert.equal(page.totalPages, 3);
+            assert.equal(page.hasMore, true);
+
+            const limited = await api.getTransactions(wallet, 3);
+            assert.deepEqual(limited.map(tx => tx.tick), [18498500, 18497500, 18496000]);
+        });
+
+        it('restricts a page to a tick range', async () => {
+            const page = await api.getTransactionsPage(wallet, { startTick: 18491000, endTick: 18496000, desc: false });
+
+            assert.deepEqual(page.transactions.map(tx => tx.tick), [18491000, 18494000, 18496000]);
+            assert.equal(page.totalRecords, 3);
+            assert.equal(page.hasMore, false);
+        });
+
+        it('tolerates malformed transfer lists', async () => {
+            mock.method(global, 'fetch', async () => jsonResponse({
+                transactions: [
+                    null,
+                    { tickNumber: 5 },
+                    { tickNumber: 8, transactions: 'none' },
+                    { tickNumber: 6, transactions: [null, {}] },
+                    { tickNumber: 7, transactions: [{ transaction: { destId: wallet, amount: '42', inputData: '!!!' } }] }
+                ]
+            }));
+
+            const transactions = await api.getTransactions(wallet);
+
+            assert.equal(transactions.length, 2);
+            assert.deepEqual(transactions[0], {
+                id: 'tx_6_0',
+                sourceId: 'Unknown',
+                destId: 'Unknown',
+                amount: 0,
+                tick: 6,
+                timestamp: null,
+                type: 'outgoing',
+                moneyFlew: true,
+                inputType: 0,
+                inputHex: ''
+            });
+            assert.equal(transactions[1].type, 'incoming');
+            assert.equal(transactions[1].amount, 42);
+            assert.equal(transactions[1].inputHex, '');
+        });
+
+        it('returns no transactions when the list is not an array', async () => {
+            mock.method(global, 'fetch', async () => jsonResponse({ transactions: 'none' }));
+
+            assert.deepEqual(await api.getTransactions(wallet), []);
+        });
+
+        it('reports a response that is not JSON as a server error', async () => {
+            mock.method(global, 'fetch', async () => jsonResponse('<html>Bad gateway</html>'));
+
+            await assert.rejects(api.getTransactions(wallet), { name: 'QubicAPIError', type: 'server' });
+        });
+    });
+
+    describe('getTransaction', () => {
+        it('looks up a listed transfer as it was listed', async () => {
+            await api.getTransactions(wallet);
+            const transaction = await api.getTransaction('mocktxadaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa');
+
+            assert.equal(transaction.destId, wallet);
+            assert.equal(transaction.amount, 500000000);
+            assert.equal(transaction.tick, 18496000);
+        });
+    });
+
+    describe('fetchWithRetry', () => {
+        it('retries server errors with a growing delay', async () => {
+            const calls = [];
+            mock.method(global, 'fetch', async () => {
+                calls.push(Date.now());
+                return calls.length < 3 ? jsonResponse({}, { status: 503 }) : jsonResponse({ ok: true });
+            });
+            api.retryDelay = 40;
+
+            assert.deepEqual(await api.fetchWithRetry(`${server.url}/v1/status`), { ok: true });
+            assert.equal(calls.length, 3);
+            assert.ok(calls[1] - calls[0] >= 35, `first retry after ${calls[1] - calls[0]} ms`);
+            assert.ok(calls[2] - calls[1] >= 75, `second retry after ${calls[2] - calls[1]} ms`);
+        });
+
+        it('gives up after the last attempt', async () => {
+            mock.method(global, 'fetch', async () => {
+                throw new TypeError('fetch failed');
+            });
+
+            await assert.rejects(api.fetchWithRetry(`${server.url}/v1/status`), { type: 'network' });
+            assert.equal(global.fetch.mock.callCount(), api.retryAttempts);
+        });
+
+        it('does not retry client errors', async () => {
+            mock.method(global, 'fetch', async () => jsonResponse({}, { status: 404 }));
+
+            await assert.rejects(api.fetchWithRetry(`${server.url}/v1/status`), { type: 'not_found', status: 404 });
+            assert.equal(global.fetch.mock.callCount(), 1);
+        });
+
+        it('waits as long as Retry-After asks, but not longer than maxRetryAfter', async () => {
+            mock.method(global, 'fetch', async () => jsonResponse({}, { status: 429, headers: { 'Retry-After': '120' } }));
+
+            await assert.rejects(api.fetchWithRetry(`${server.url}/v1/status`), { type: 'rate_limited', retryAfter: 120000 });
+            assert.equal(global.fetch.mock.callCount(), 1);
+        });
+
+        it('serves repeated requests from the cache until they expire', async () => {
+            mock.method(global, 'fetch', async () => jsonResponse({ count: global.fetch.mock.callCount() }));
+            const url = `${server.url}/v1/balances/${wallet}`;
+
+            const first = await api.fetchWithRetry(url);
+            assert.deepEqual(await api.fetchWithRetry(url), first);
+            assert.equal(global.fetch.mock.callCount(), 1);
+
+            const now = Date.now();
+            mock.method(Date, 'now', () => now + api.getCacheTtl(url) + 1);
+            await api.fetchWithRetry(url);
+            assert.equal(global.fetch.mock.callCount(), 2);
+        });
+    });
+});
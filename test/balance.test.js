@@ -0,0 +1,150 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./helpers');
+
+describe('balance history', () => {
+    let window;
+    let balanceHistory;
+    let chartManager;
+    let wallet;
+    let currentBalance;
+
+    /**
+     * The wallet's transfers from the transfers fixture, newest first
+     */
+    const loadTransfers = () => window.QubicAPI.parseTransfers(
+        readFixture('v2/identities/_identity/transfers.json', wallet),
+        wallet
+    );
+
+    before(() => {
+        window = loadScripts(['identity', 'endpoints', 'storage', 'api', 'balance', 'charts']);
+        balanceHistory = window.BalanceHistory;
+        chartManager = window.ChartManager;
+        wallet = window.IdentityValidator.encodePublicKey(new Uint8Array(32).fill(7));
+        currentBalance = parseInt(readFixture('v1/balances/_identity.json', wallet).balance.balance);
+    });
+
+    describe('reconstruct', () => {
+        it('replays the fixture transfers back from the current balance', () => {
+            const history = balanceHistory.reconstruct(loadTransfers(), currentBalance, [wallet]);
+
+            assert.equal(history.openingBalance, 0);
+            assert.equal(history.truncated, false);
+            assert.deepEqual(history.points.map(point => [point.tick, point.change, point.balance]), [
+                [18488000, 1500000000, 1500000000],
+                [18491000, 1000000000, 2500000000],
+                [18494000, -300000000, 2200000000],
+                [18496000, 500000000, 2700000000],
+                [18497500, -200000000, 2500000000],
+                [18498500, -100, 2499999900]
+            ]);
+        });
+
+        it('ignores transfers that did not execute', () => {
+            const transactions = loadTransfers();
+            transactions.find(tx => tx.tick === 18494000).moneyFlew = false;
+
+            const history = balanceHistory.reconstruct(transactions, currentBalance, [wallet]);
+
+            assert.ok(!history.points.some(point => point.tick === 18494000));
+            assert.equal(history.openingBalance, -300000000);
+        });
+
+        it('counts a transfer listed for two own wallets once, netting moves between them', () => {
+            const counterparty = 'SAPXJATUYJSVCEOKXIHZIFAERWPAWMOYUNLQMMBZOEEXHPUWAESGYZBBIVJD';
+            const transactions = loadTransfers();
+            const listedTwice = [...transactions, ...transactions.filter(tx => tx.sourceId === counterparty || tx.destId === counterparty)];
+
+            const history = balanceHistory.reconstruct(listedTwice, currentBalance, [wallet, counterparty]);
+
+            assert.equal(history.points.length, transactions.length);
+            assert.equal(history.points.find(point => point.tick === 18491000).change, 0);
+            assert.equal(history.points.find(point => point.tick === 18494000).change, 0);
+        });
+
+        it('drops points before the tick where loaded history becomes incomplete', () => {
+            const history = balanceHistory.reconstruct(loadTransfers(), currentBalance, [wallet], 18494000);
+
+            assert.equal(history.openingBalance, null);
+            assert.equal(history.truncated, true);
+            assert.deepEqual(history.points.map(point => point.tick), [18494000, 18496000, 18497500, 18498500]);
+            assert.equal(history.points[0].balance, 2200000000);
+        });
+    });
+
+    describe('getCompleteFromTick', () => {
+        it('is null when every wallet has its full history', () => {
+            assert.equal(balanceHistory.getCompleteFromTick([{ historyComplete: true }, { historyComplete: true }]), null);
+        });
+
+        it('is the newest of the oldest loaded ticks', () => {
+            const states = [{ historyComplete: true }, { oldestTick: 18491000 }, { oldestTick: 18494000 }];
+
+            assert.equal(balanceHistory.getCompleteFromTick(states), 18494000);
+        });
+
+        it('is Infinity when a wallet has not been synced', () => {
+            assert.equal(balanceHistory.getCompleteFromTick([{ oldestTick: 18491000 }, null]), Infinity);
+        });
+    });
+
+    describe('balanceAt', () => {
+        it('looks up the balance after a tick', () => {
+            const history = balanceHistory.reconstruct(loadTransfers(), currentBalance, [wallet]);
+
+            assert.equal(balanceHistory.balanceAt(history, 18000000), 0);
+            assert.equal(balanceHistory.balanceAt(history, 18491000), 2500000000);
+            assert.equal(balanceHistory.balanceAt(history, 18495000), 2200000000);
+            assert.equal(balanceHistory.balanceAt(history, 19000000), currentBalance);
+        });
+
+        it('has no balance before the complete range', () => {
+            const history = balanceHistory.reconstruct(loadTransfers(), currentBalance, [wallet], 18494000);
+
+            assert.equal(balanceHistory.balanceAt(history, 18491000), null);
+            assert.equal(balanceHistory.balanceAt(history, 18494000), 2200000000);
+        });
+    });
+
+    describe('generateTimelineData', () => {
+        /**
+         * Fixture transfers with timestamps: the two oldest on one day, the rest on the next days
+         */
+        const withTimestamps = () => {
+            const days = { 18488000: 1, 18491000: 1, 18494000: 2, 18496000: 3, 18497500: 3, 18498500: 4 };
+            return loadTransfers().map(tx => ({ ...tx, timestamp: Date.UTC(2026, 9, days[tx.tick], 12) }));
+        };
+
+        it('plots every tick when not grouped', () => {
+            const timeline = chartManager.generateTimelineData(loadTransfers(), currentBalance, 'none', [wallet]);
+
+            assert.equal(timeline.labels[0], 'Tick 18488000');
+            assert.equal(timeline.balances.length, 6);
+            assert.equal(timeline.balances[5], currentBalance);
+            assert.equal(timeline.truncated, false);
+        });
+
+        it('keeps the closing balance of each day', () => {
+            const timeline = chartManager.generateTimelineData(withTimestamps(), currentBalance, 'day', [wallet]);
+
+            assert.deepEqual(timeline.balances, [2500000000, 2200000000, 2500000000, 2499999900]);
+            assert.equal(timeline.labels.length, 4);
+        });
+
+        it('starts a truncated timeline with a gap for the range that is not loaded', () => {
+            const timeline = chartManager.generateTimelineData(withTimestamps(), currentBalance, 'day', [wallet], 18494000);
+
+            assert.equal(timeline.truncated, true);
+            assert.equal(timeline.labels[0], `Before tick ${(18494000).toLocaleString()} (not loaded)`);
+            assert.deepEqual(timeline.balances, [null, 2200000000, 2500000000, 2499999900]);
+        });
+
+        it('labels a timeline with no synced wallet as not loaded', () => {
+            const timeline = chartManager.generateTimelineData(loadTransfers(), currentBalance, 'none', [wallet], Infinity);
+
+            assert.deepEqual(timeline.labels, ['Transfers not loaded']);
+            assert.deepEqual(timeline.balances, [null]);
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Test Helpers
+ * Loads the app's scripts into Node the way index.html loads them, with a jsdom page as
+ * window and document, and runs the mock RPC server in-process on the bundled fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const mockServer = require('../mock/server');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(ROOT, 'mock', 'fixtures');
+
+/**
+ * Load scripts from js/ (names without .js, in index.html order) into a fresh page
+ * The singletons are then reachable through their window exports (window.QubicAPI, ...).
+ * Scripts declare globals, so each test file can load them only once
+ */
+function loadScripts(names, { search = '' } = {}) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: `http://localhost/${search}`
+    });
+
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.localStorage = dom.window.localStorage;
+
+    names.forEach(name => {
+        const file = path.join(ROOT, 'js', `${name}.js`);
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    });
+
+    return dom.window;
+}
+
+/**
+ * Start the mock RPC server on a free port
+ * Returns { url, close }
+ */
+async function startMockServer() {
+    const server = await mockServer.start({
+        port: 0,
+        fixtures: FIXTURES,
+        record: false,
+        freeze: true,
+        quiet: true
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * Read a fixture file with its {{identity}} placeholders filled in
+ */
+function readFixture(name, identity) {
+    const text = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+    return JSON.parse(text.replace(/\{\{identity\}\}/g, identity));
+}
+
+/**
+ * A fetch response with a JSON (or, given a string, raw) body
+ */
+function jsonResponse(body, { status = 200, headers = {} } = {}) {
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers }
+    });
+}
+
+module.exports = { loadScripts, startMockServer, readFixture, jsonResponse };
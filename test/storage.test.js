@@ -0,0 +1,126 @@
+const { describe, it, before, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readFixture } = require('./helpers');
+
+describe('StorageManager', () => {
+    let window;
+    let storage;
+    let identities;
+
+    before(() => {
+        window = loadScripts(['identity', 'endpoints', 'storage']);
+        storage = window.StorageManager;
+        identities = Array.from({ length: 15 }, (_, i) => {
+            return window.IdentityValidator.encodePublicKey(new Uint8Array(32).fill(i + 1));
+        });
+    });
+
+    beforeEach(() => {
+        mock.restoreAll();
+        mock.method(console, 'error', () => {});
+        window.localStorage.clear();
+    });
+
+    /**
+     * Make every localStorage write fail the way a full browser storage does
+     */
+    const fillQuota = () => {
+        mock.method(window.Storage.prototype, 'setItem', () => {
+            throw new window.DOMException('The quota has been exceeded.', 'QuotaExceededError');
+        });
+    };
+
+    describe('addWallet', () => {
+        it('keeps the most recent MAX_WALLETS wallets', () => {
+            identities.slice(0, storage.MAX_WALLETS + 2).forEach(identity => storage.addWallet(identity));
+
+            const addresses = storage.getWallets().map(wallet => wallet.address);
+            assert.equal(addresses.length, storage.MAX_WALLETS);
+            assert.equal(addresses[0], identities[storage.MAX_WALLETS + 1]);
+            assert.ok(!addresses.includes(identities[0]));
+            assert.ok(!addresses.includes(identities[1]));
+        });
+
+        it('never evicts pinned wallets', () => {
+            storage.addWallet(identities[0]);
+            storage.setWalletPinned(identities[0], true);
+            identities.slice(1, storage.MAX_WALLETS + 3).forEach(identity => storage.addWallet(identity));
+
+            const wallets = storage.getWallets();
+            assert.equal(wallets.length, storage.MAX_WALLETS + 1);
+            assert.ok(wallets.some(wallet => wallet.address === identities[0] && wallet.pinned));
+        });
+
+        it('moves a wallet added again to the front and keeps its labels', () => {
+            storage.addWallet(identities[0]);
+            storage.updateWalletLabels(identities[0], { name: 'Savings', group: 'Cold' });
+            storage.addWallet(identities[1]);
+            storage.addWallet(identities[0]);
+
+            const [first, second] = storage.getWallets();
+            assert.equal(first.address, identities[0]);
+            assert.equal(first.name, 'Savings');
+            assert.equal(first.group, 'Cold');
+            assert.equal(second.address, identities[1]);
+        });
+
+        it('rejects a missing address', () => {
+            assert.throws(() => storage.addWallet(''), /Invalid wallet address/);
+        });
+    });
+
+    describe('portfolio cache', () => {
+        const portfolio = () => ({ balance: readFixture('v1/balances/_identity.json', identities[0]).balance });
+
+        it('returns cached data while it is fresh', () => {
+            storage.cachePortfolioData(identities[0], portfolio());
+
+            assert.deepEqual(storage.getCachedPortfolioData(identities[0]), portfolio());
+            assert.equal(storage.getCachedPortfolioData(identities[1]), null);
+        });
+
+        it('expires data after CACHE_DURATION but keeps it as last-known data', () => {
+            const cachedAt = Date.now();
+            storage.cachePortfolioData(identities[0], portfolio());
+
+            mock.method(Date, 'now', () => cachedAt + storage.CACHE_DURATION - 1);
+            assert.notEqual(storage.getCachedPortfolioData(identities[0]), null);
+
+            mock.method(Date, 'now', () => cachedAt + storage.CACHE_DURATION + 1);
+            assert.equal(storage.getCachedPortfolioData(identities[0]), null);
+            assert.deepEqual(storage.getLastKnownPortfolioData(identities[0]).data, portfolio());
+        });
+
+        it('reads a corrupted cache as empty', () => {
+            window.localStorage.setItem(storage.CACHE_KEY, '{not json');
+
+            assert.equal(storage.getCachedPortfolioData(identities[0]), null);
+            assert.deepEqual(storage.getCache(), {});
+        });
+    });
+
+    describe('when the storage quota is exceeded', () => {
+        it('reports a wallet that could not be saved and keeps the saved ones', () => {
+            storage.addWallet(identities[0]);
+            fillQuota();
+
+            assert.equal(storage.addWallet(identities[1]), false);
+            assert.deepEqual(storage.getWallets().map(wallet => wallet.address), [identities[0]]);
+        });
+
+        it('does not throw when caching portfolio data', () => {
+            fillQuota();
+
+            assert.doesNotThrow(() => storage.cachePortfolioData(identities[0], { balance: 1 }));
+            assert.equal(storage.getCachedPortfolioData(identities[0]), null);
+        });
+
+        it('reports failed settings and address book saves', () => {
+            fillQuota();
+
+            assert.equal(storage.saveSettings({ currency: 'EUR' }), false);
+            assert.equal(storage.saveAddressBook({ [identities[0]]: { name: 'Exchange', category: 'exchange' } }), false);
+            assert.deepEqual(storage.getAddressBook(), {});
+        });
+    });
+});